@@ -9,20 +9,232 @@
  * @since 1.0.0
  * @license MIT
  *
- * @requires BuilderJS - Custom DOM manipulation library
+ * @requires BuilderJS - Custom DOM manipulation library (optional; see {@link DomBuilder})
  * @see {@link https://brettwhitson.github.io} Portfolio Site
  * @see {@link https://github.com/BrettWhitson/brettwhitson.github.io} Source Code
  *
+ * Loading this file has no side effects beyond exposing the API: as a classic script it defines
+ * `window.Portfolio`, with CommonJS it sets `module.exports`, and javascript/main.mjs re-exports
+ * it as an ES module. The site itself opts in to starting up on load with `data-autoinit`
+ * (see {@link initializePortfolio}).
+ *
  * @example
- * // Initialize the portfolio controller
- * const portfolio = new PortfolioController({
- *   debug: true,
- *   dataUrl: "./data/data.json"
- * });
+ * <!-- Build the page as soon as it loads -->
+ * <script src="/javascript/main.js" data-autoinit></script>
+ *
+ * @example
+ * // Start the controllers yourself
+ * import { createPortfolio } from "./javascript/main.mjs";
+ *
+ * const { portfolio, ready } = createPortfolio({ portfolio: { dataUrl: "./data/data.json" } });
+ * await ready;
+ */
+
+// === ERRORS ===
+
+/**
+ * Base class for errors raised while loading portfolio data
+ * @class PortfolioError
+ * @extends Error
+ */
+class PortfolioError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = "PortfolioError";
+    if (options.cause) this.cause = options.cause;
+  }
+}
+
+/**
+ * Raised when a data request exceeds the configured timeout
+ * @class DataTimeoutError
+ * @extends PortfolioError
+ */
+class DataTimeoutError extends PortfolioError {
+  /**
+   * @param {string} url - Requested URL
+   * @param {number} timeout - Timeout in milliseconds
+   */
+  constructor(url, timeout) {
+    super(`Request timed out after ${timeout}ms while loading ${url}`);
+    this.name = "DataTimeoutError";
+    this.url = url;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Raised when a data request fails before any response arrives (offline, DNS, CORS)
+ * @class DataNetworkError
+ * @extends PortfolioError
+ */
+class DataNetworkError extends PortfolioError {
+  /**
+   * @param {string} url - Requested URL
+   * @param {Error} cause - Error fetch() rejected with
+   */
+  constructor(url, cause) {
+    super(`Could not reach the server while loading ${url}: ${cause.message}`, { cause });
+    this.name = "DataNetworkError";
+    this.url = url;
+  }
+}
+
+/**
+ * Raised when the server answers a data request with a non-2xx status
+ * @class DataHttpError
+ * @extends PortfolioError
+ */
+class DataHttpError extends PortfolioError {
+  /**
+   * @param {string} url - Requested URL
+   * @param {number} status - HTTP status code
+   * @param {string} [statusText] - HTTP status text
+   */
+  constructor(url, status, statusText = "") {
+    super(`HTTP ${status}: ${statusText}`.trim());
+    this.name = "DataHttpError";
+    this.url = url;
+    this.status = status;
+    this.statusText = statusText;
+  }
+}
+
+/**
+ * Raised when a data file can't be parsed or mapped to portfolio data
+ * @class DataParseError
+ * @extends PortfolioError
+ */
+class DataParseError extends PortfolioError {
+  /**
+   * @param {string} url - Requested URL
+   * @param {Error} cause - Parser or data adapter error
+   */
+  constructor(url, cause) {
+    super(`Could not parse ${url}: ${cause.message}`, { cause });
+    this.name = "DataParseError";
+    this.url = url;
+  }
+}
+
+/**
+ * Raised when loaded data does not match the data schema
+ * @class DataValidationError
+ * @extends PortfolioError
+ */
+class DataValidationError extends PortfolioError {
+  /**
+   * @param {string} message - Error message
+   * @param {Array<{path: string, message: string}>} [errors=[]] - Every problem found
+   */
+  constructor(message, errors = []) {
+    super(message);
+    this.name = "DataValidationError";
+    this.errors = errors;
+  }
+}
+
+// === RENDERING ===
+
+/**
+ * DomBuilder - Minimal stand-in for BuilderJS
+ *
+ * Supports the part of the BuilderJS API the section builders use (`scope`, `addChild`,
+ * `appendTo` and `setValidationMode`), so the page still renders when builder.js can't be
+ * loaded from the CDN. Attributes are set as given, except `innerText` and `innerHTML`, which
+ * set the element's content.
+ *
+ * @class DomBuilder
+ *
+ * @example
+ * new DomBuilder("ul", { class: "list" })
+ *   .scope((list) => list.addChild("li", { innerText: "Item" }))
+ *   .appendTo(document.body);
+ */
+class DomBuilder {
+  /**
+   * Store the validation mode in `DomBuilder.validationMode`, as BuilderJS does
+   *
+   * BuilderJS validates attributes against its schema in this mode; DomBuilder validates nothing,
+   * so the mode has no effect on rendering.
+   * @param {string} mode - Validation mode (e.g. "warn" or "silent")
+   */
+  static setValidationMode(mode) {
+    DomBuilder.validationMode = mode;
+  }
+
+  /**
+   * Create an element
+   * @param {string} tag - Tag name
+   * @param {Object<string, *>} [attributes] - Attributes; `null`, `undefined` and `false` values are skipped
+   */
+  constructor(tag, attributes = {}) {
+    this.element = document.createElement(tag);
+
+    Object.entries(attributes || {}).forEach(([name, value]) => {
+      if (value === null || value === undefined || value === false) return;
+
+      if (name === "innerText") {
+        // jsdom (scripts/prerender.js) has no innerText
+        if ("innerText" in this.element) this.element.innerText = value;
+        else this.element.textContent = value;
+      } else if (name === "innerHTML") {
+        this.element.innerHTML = value;
+      } else {
+        this.element.setAttribute(name, value === true ? "" : String(value));
+      }
+    });
+  }
+
+  /**
+   * Run a callback with this builder, for building children
+   * @param {Function} callback - Called with the builder
+   * @returns {DomBuilder} This builder
+   */
+  scope(callback) {
+    callback(this);
+    return this;
+  }
+
+  /**
+   * Add a child element
+   * @param {string} tag - Tag name
+   * @param {Object<string, *>} [attributes] - Attributes (see the constructor)
+   * @param {Function} [callback] - Called with the child's builder before it is attached
+   * @returns {DomBuilder} This builder, for adding siblings
+   */
+  addChild(tag, attributes, callback) {
+    const child = new DomBuilder(tag, attributes);
+    if (callback) callback(child);
+    this.element.appendChild(child.element);
+    return this;
+  }
+
+  /**
+   * Append the element to a parent
+   * @param {Element} parent - Parent element
+   * @returns {DomBuilder} This builder
+   */
+  appendTo(parent) {
+    parent.appendChild(this.element);
+    return this;
+  }
+}
+
+/**
+ * Get the Builder class to render with
  *
- * // Initialize the portfolio
- * await portfolio.init();
+ * BuilderJS when builder.js has loaded, otherwise the built-in {@link DomBuilder}.
+ * @returns {Function} Builder class
  */
+function getDefaultBuilder() {
+  return typeof Builder === "function" ? Builder : DomBuilder;
+}
 
 /**
  * PortfolioController - Main controller class for managing the portfolio site
@@ -55,8 +267,26 @@ class PortfolioController {
    * Create a new PortfolioController instance
    * @param {Object} options - Configuration options
    * @param {boolean} [options.debug=false] - Enable debug logging
-   * @param {string} [options.dataUrl="./data/data.json"] - URL to portfolio data
+   * @param {string|Array<string|Object>|Object} [options.dataUrl="./data/data.json"] - URL to portfolio data
+   *   (JSON, YAML or a JSON Resume `resume.json`; see {@link PortfolioController#registerDataAdapter}), a list
+   *   of URLs or `{ url, adapter }` sources to merge, or a manifest `{ sources: [...] }` (see
+   *   {@link PortfolioController#mergeDataSources}). A data file holding a manifest is followed too.
+   * @param {Object} [options.data] - Preloaded portfolio data to use instead of fetching `dataUrl`
+   * @param {string} [options.dataAdapter] - Adapter to read the data with, instead of picking one by URL
+   * @param {Object<string, DataAdapterDefinition>} [options.dataAdapters] - Additional data adapters to register
    * @param {number} [options.mobileBreakpoint=980] - Mobile breakpoint in pixels
+   * @param {Object<string, SectionTypeDefinition>} [options.sectionTypes] - Additional section types to register
+   * @param {string} [options.defaultLocale="en"] - Locale of the base data file, used as the per-field fallback
+   * @param {string} [options.localeStorageKey="locale"] - localStorage key for the chosen locale
+   * @param {number} [options.timeout=10000] - Timeout per data request attempt in milliseconds
+   * @param {number} [options.retries=2] - Extra attempts after a timeout, network error or 408/429/5xx response
+   * @param {number} [options.retryDelay=500] - Delay before the first retry in milliseconds
+   * @param {number} [options.retryBackoff=2] - Multiplier applied to the delay after each retry
+   * @param {Function} [options.builder] - Builder class to render with (e.g. a vendored copy of BuilderJS);
+   *   defaults to BuilderJS when loaded, otherwise {@link DomBuilder}
+   * @param {Object} [options.pdfjs] - Where to load PDF.js from instead of javascript/vendor: `{ src, workerSrc,
+   *   integrity }`, `integrity` being a Subresource Integrity hash for `src` (needed for a CDN copy)
+   * @param {Object} [options.yaml] - Where to load js-yaml from instead of javascript/vendor: `{ src, integrity }`
    */
   constructor(options = {}) {
     // Validate options
@@ -65,8 +295,50 @@ class PortfolioController {
     }
 
     this.debug = Boolean(options.debug);
-    this.dataUrl = typeof options.dataUrl === "string" ? options.dataUrl : "./data/data.json";
+    if (options.data !== undefined && (typeof options.data !== "object" || options.data === null)) {
+      throw new TypeError("options.data must be an object");
+    }
+    this.preloadedData = options.data || null;
+    // Preloaded data has no default URL, so locale overlays are only fetched when one is given
+    if (typeof options.dataUrl === "string" || (options.dataUrl && typeof options.dataUrl === "object")) {
+      this.dataUrl = options.dataUrl;
+    } else {
+      this.dataUrl = this.preloadedData ? null : "./data/data.json";
+    }
+    // Sources each section was merged from, by section id
+    this.sectionSources = new Map();
     this.mobileBreakpoint = typeof options.mobileBreakpoint === "number" ? options.mobileBreakpoint : 980;
+    this.defaultLocale = typeof options.defaultLocale === "string" ? options.defaultLocale : "en";
+    this.localeStorageKey = typeof options.localeStorageKey === "string" ? options.localeStorageKey : "locale";
+    this.locale = null;
+    this.timeout = this.getNumberOption(options.timeout, 10000, "timeout");
+    this.retries = Math.floor(this.getNumberOption(options.retries, 2, "retries"));
+    this.retryDelay = this.getNumberOption(options.retryDelay, 500, "retryDelay");
+    this.retryBackoff = this.getNumberOption(options.retryBackoff, 2, "retryBackoff");
+    if (options.builder !== undefined && typeof options.builder !== "function") {
+      throw new TypeError("options.builder must be a Builder class");
+    }
+    this.builder = options.builder || null;
+    const pdfjs = this.getScriptOption(options.pdfjs, "pdfjs", ["src", "workerSrc", "integrity"]);
+    const yaml = this.getScriptOption(options.yaml, "yaml", ["src", "integrity"]);
+    // When the service worker cached the data (null when it came from the network)
+    this.dataCachedAt = null;
+    // When the service worker cached each data response, by URL (null when it came from the network)
+    this.responseCachedAt = new Map();
+    // IntersectionObserver driving the active navigation link
+    this.scrollSpy = null;
+    // MediaQueryList for the mobile breakpoint and the element focused before the menu opened
+    this.mobileQuery = null;
+    this.menuReturnFocus = null;
+    // Element ids handed out to list items during the current build
+    this.itemIds = new Set();
+    // Bumped whenever the page is cleared, so listeners queued for an earlier build are dropped
+    this.buildGeneration = 0;
+    // Open PDF.js resume previews by container id, and the pending PDF.js script load
+    this.pdfViewers = new Map();
+    this.pdfjsPromise = null;
+    // Removes the printable resume of the print in progress, if any
+    this.printCleanup = null;
 
     // DOM cache
     this.dom = {};
@@ -76,10 +348,15 @@ class PortfolioController {
     this.config = Object.freeze({
       selectors: Object.freeze({
         linklist: ".linklist",
+        navigation: ".navigation",
+        navToggle: ".nav-toggle",
         content: "#content",
         extIcons: ".ext-icon-list",
-        langIcons: ".lang-icon-list",
-        toolIcons: ".tool-icon-list",
+        localeSwitcher: ".locale-switcher",
+        localeSelect: ".locale-select",
+        offlineIndicator: ".offline-indicator",
+        profileName: ".profile-info h1",
+        profileEmail: ".profile-info .mailto",
       }),
       classes: Object.freeze({
         section: "section",
@@ -95,23 +372,378 @@ class PortfolioController {
         mobile: "mobile",
         bounce: "bounce",
         sectionBodyIframe: "section-body-iframe",
+        skillGroup: "skill-group",
+        skillGroupTitle: "skill-group-title",
+        skillIconList: "skill-icon-list",
+        skillLevel: "skill-level",
+        navItem: "nav-item",
+        navLink: "nav-link",
+        active: "active",
+        navMobile: "nav-mobile",
+        navOpen: "nav-open",
+        sectionLinkButton: "section-link-btn",
+        projectCard: "project-card",
+        projectTag: "project-tag",
+        timeline: "timeline",
+        timelineGroup: "timeline-group",
+        timelineRole: "timeline-role",
+        printResume: "print-resume",
+        printing: "printing-resume",
+        targeted: "is-targeted",
+      }),
+      // How long a deep-linked element stays highlighted, in milliseconds
+      targetHighlightDuration: 2000,
+      // Section ids read into the JSON-LD Person, overridable with data.meta.sections
+      structuredDataSections: Object.freeze({
+        work: "experience",
+        education: "education",
+        awards: "awards",
       }),
+      // Id of the generated JSON-LD script element
+      jsonLdId: "portfolio-jsonld",
+      // Id of the generated printable resume
+      printResumeId: "print-resume",
+      // How long the printable resume stays in the page when the browser never fires afterprint
+      printCleanupDelay: 60000,
+      // js-yaml (browser build) used by the "yaml" data adapter, loaded on first use, vendored from
+      // js-yaml by scripts/vendor.js
+      yaml: Object.freeze({
+        src: "./javascript/vendor/js-yaml.min.js",
+        integrity: null,
+        ...yaml,
+      }),
+      // PDF.js (UMD build) used to preview PDFs where the browser can't display them inline, vendored
+      // from pdfjs-dist by scripts/vendor.js
+      pdfjs: Object.freeze({
+        src: "./javascript/vendor/pdf.min.js",
+        workerSrc: "./javascript/vendor/pdf.worker.min.js",
+        integrity: null,
+        ...pdfjs,
+      }),
+      // Band of the viewport (as an IntersectionObserver rootMargin) where a section counts as current
+      scrollSpyMargin: "-45% 0px -55% 0px",
+      // Number of steps on the skill proficiency scale (`level` in data.icons items)
+      skillLevels: 5,
+      // Allow-list for rich text in data.json (list item `main` and paragraph `body`)
+      sanitizer: Object.freeze({
+        tags: Object.freeze({
+          a: Object.freeze(["href", "target", "rel"]),
+          b: Object.freeze([]),
+          strong: Object.freeze([]),
+          i: Object.freeze([]),
+          em: Object.freeze([]),
+          u: Object.freeze([]),
+          s: Object.freeze([]),
+          small: Object.freeze([]),
+          sub: Object.freeze([]),
+          sup: Object.freeze([]),
+          code: Object.freeze([]),
+          br: Object.freeze([]),
+          p: Object.freeze([]),
+          span: Object.freeze([]),
+          ul: Object.freeze([]),
+          ol: Object.freeze(["start"]),
+          li: Object.freeze([]),
+          blockquote: Object.freeze([]),
+        }),
+        globalAttributes: Object.freeze(["class", "title", "lang", "aria-label", "aria-hidden"]),
+        // Elements removed together with their content; anything else not allowed is unwrapped
+        dropWithContent: Object.freeze(["script", "style", "template", "iframe", "object", "embed", "noscript", "svg", "math"]),
+        protocols: Object.freeze(["http:", "https:", "mailto:", "tel:"]),
+      }),
+    });
+
+    // Section type registry (built-in types first, then any supplied via options)
+    this.sectionTypes = new Map();
+    this.registerSectionType("pg", {
+      build: this.buildPgSection,
+      print: this.printPgSection,
+      schema: {
+        required: ["body"],
+        properties: {
+          body: { type: "string" },
+        },
+      },
+    });
+    this.registerSectionType("ls", {
+      build: this.buildLsSection,
+      print: this.printLsSection,
+      schema: {
+        required: ["body"],
+        properties: {
+          layout: { type: "string", enum: ["list", "timeline"] },
+          itemOrder: { type: "string", enum: ["newest", "oldest"] },
+          body: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["header"],
+              properties: {
+                id: { type: "string", pattern: "^[A-Za-z0-9][\\w-]*$" },
+                header: { type: "string", minLength: 1 },
+                subheader: { type: "string" },
+                subsubheader: { type: "string" },
+                main: { type: "string" },
+                start: { type: "string", pattern: "^\\d{4}-(0[1-9]|1[0-2])$" },
+                end: { type: "string", pattern: "^(\\d{4}-(0[1-9]|1[0-2])|present)$" },
+              },
+            },
+          },
+        },
+      },
+      validate: (section, controller) =>
+        (Array.isArray(section.body) ? section.body : [])
+          .map((item, index) => ({ item, index }))
+          .filter(({ item }) => {
+            const start = controller.parseYearMonth(item && item.start);
+            const end = controller.parseYearMonth(item && item.end);
+            return start !== null && end !== null && end < start;
+          })
+          .map(({ index }) => ({ path: `body[${index}].end`, message: "must not be before start" })),
+    });
+    this.registerSectionType("skills", {
+      build: this.buildSkillsSection,
+      print: this.printSkillsSection,
+      schema: {
+        properties: {
+          groups: {
+            type: "array",
+            items: { type: "string", minLength: 1 },
+          },
+        },
+      },
+      validate: (section, controller, data) => {
+        const icons = (data && data.icons) || {};
+        return (section.groups || [])
+          .map((group, index) => ({ group, index }))
+          .filter(({ group }) => typeof group === "string" && !Object.prototype.hasOwnProperty.call(icons, group))
+          .map(({ group, index }) => ({ path: `groups[${index}]`, message: `unknown icon group "${group}"` }));
+      },
+    });
+    this.registerSectionType("projects", {
+      build: this.buildProjectsSection,
+      hydrate: this.bindProjectsSection,
+      print: this.printProjectsSection,
+      schema: {
+        required: ["body"],
+        properties: {
+          body: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["title"],
+              properties: {
+                id: { type: "string", pattern: "^[A-Za-z0-9][\\w-]*$" },
+                title: { type: "string", minLength: 1 },
+                description: { type: "string" },
+                tags: { type: "array", items: { type: "string", minLength: 1 } },
+                repo: { type: "string", minLength: 1 },
+                demo: { type: "string", minLength: 1 },
+                thumbnail: { type: "string", minLength: 1 },
+                date: { type: "string", pattern: "^\\d{4}(-\\d{2})?$" },
+              },
+            },
+          },
+        },
+      },
+    });
+    this.registerSectionType("rs", {
+      build: this.buildRsSection,
+      hydrate: this.bindRsSection,
+      schema: {
+        properties: {
+          file: { type: "string", minLength: 1 },
+          downloadName: { type: "string", minLength: 1 },
+          files: {
+            type: "array",
+            minItems: 1,
+            items: {
+              type: "object",
+              required: ["file"],
+              properties: {
+                file: { type: "string", minLength: 1 },
+                label: { type: "string", minLength: 1 },
+                downloadName: { type: "string", minLength: 1 },
+              },
+            },
+          },
+          body: { type: "string" },
+        },
+      },
+      validate: (section) => (section.file || section.files ? [] : ['needs a "file" or a "files" list']),
     });
 
-    // Section builder registry
-    this.sectionBuilders = Object.freeze({
-      pg: this.buildPgSection.bind(this),
-      ls: this.buildLsSection.bind(this),
-      rs: this.buildRsSection.bind(this),
+    if (options.sectionTypes !== undefined) {
+      if (typeof options.sectionTypes !== "object" || options.sectionTypes === null) {
+        throw new TypeError("options.sectionTypes must be an object");
+      }
+
+      Object.entries(options.sectionTypes).forEach(([type, definition]) => {
+        this.registerSectionType(type, definition);
+      });
+    }
+
+    // Data adapter registry; adapters registered later are tried first when matching URLs
+    this.dataAdapters = new Map();
+    this.yamlPromise = null;
+    this.registerDataAdapter("json", {
+      pattern: /\.json($|\?)/i,
+      parse: (text) => JSON.parse(text),
+    });
+    this.registerDataAdapter("yaml", {
+      pattern: /\.ya?ml($|\?)/i,
+      contentType: "application/yaml",
+      parse: (text) => this.parseYAML(text),
+    });
+    this.registerDataAdapter("json-resume", {
+      // resume.json and its locale overlays (resume.es.json)
+      pattern: /(^|\/)resume(\.[\w-]+)?\.json($|\?)/i,
+      parse: (text) => JSON.parse(text),
+      transform: (resume) => this.mapJsonResume(resume),
     });
 
+    if (options.dataAdapters !== undefined) {
+      if (typeof options.dataAdapters !== "object" || options.dataAdapters === null) {
+        throw new TypeError("options.dataAdapters must be an object");
+      }
+
+      Object.entries(options.dataAdapters).forEach(([name, definition]) => {
+        this.registerDataAdapter(name, definition);
+      });
+    }
+
+    if (options.dataAdapter !== undefined && !this.dataAdapters.has(options.dataAdapter)) {
+      throw new TypeError(`Unknown data adapter: ${options.dataAdapter}`);
+    }
+    this.dataAdapter = options.dataAdapter || null;
+
+    // Check a list or manifest of data sources up front
+    if (this.dataUrl !== null && typeof this.dataUrl === "object") {
+      this.normalizeDataSources(this.dataUrl);
+    }
+
     // Bind methods to maintain context (only public methods that might be called externally)
     this.init = this.init.bind(this);
     this.refresh = this.refresh.bind(this);
+    this.destroy = this.destroy.bind(this);
+    this.handleLocaleChange = this.handleLocaleChange.bind(this);
+    this.updateOfflineIndicator = this.updateOfflineIndicator.bind(this);
+    this.handleMobileChange = this.handleMobileChange.bind(this);
+    this.toggleMobileMenu = this.toggleMobileMenu.bind(this);
+    this.handleMenuKeydown = this.handleMenuKeydown.bind(this);
+    this.handleMenuClick = this.handleMenuClick.bind(this);
+    this.handleOutsideClick = this.handleOutsideClick.bind(this);
+    this.handleHashChange = this.handleHashChange.bind(this);
+    this.handleSectionLinkClick = this.handleSectionLinkClick.bind(this);
   }
 
   // === UTILITY METHODS ===
 
+  /**
+   * Builder class used to render the page: `options.builder`, BuilderJS or {@link DomBuilder}
+   *
+   * Custom section types should render with `new this.Builder(...)` too.
+   * @type {Function}
+   */
+  get Builder() {
+    return this.builder || getDefaultBuilder();
+  }
+
+  /**
+   * Read a non-negative numeric option, falling back to a default when it is not set
+   * @param {*} value - Option value
+   * @param {number} fallback - Default value
+   * @param {string} name - Option name for error messages
+   * @returns {number}
+   * @throws {TypeError} If the option is set but not a non-negative number
+   * @private
+   */
+  getNumberOption(value, fallback, name) {
+    if (value === undefined) return fallback;
+
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      throw new TypeError(`options.${name} must be a non-negative number`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Read an option describing where to load a script from
+   * @param {*} value - Option value
+   * @param {string} name - Option name for error messages
+   * @param {string[]} keys - Allowed keys, each taking a string
+   * @returns {Object} The keys that are set
+   * @throws {TypeError} If the option is set but not an object of strings
+   * @private
+   */
+  getScriptOption(value, name, keys) {
+    if (value === undefined) return {};
+
+    if (typeof value !== "object" || value === null) {
+      throw new TypeError(`options.${name} must be an object`);
+    }
+
+    return keys.reduce((result, key) => {
+      if (value[key] === undefined) return result;
+      if (typeof value[key] !== "string" || !value[key]) {
+        throw new TypeError(`options.${name}.${key} must be a non-empty string`);
+      }
+      return { ...result, [key]: value[key] };
+    }, {});
+  }
+
+  /**
+   * Add a `<script>` to the page and wait for it to load
+   * @param {string} src - Script URL
+   * @param {?string} [integrity] - Subresource Integrity hash the script must match
+   * @returns {Promise<void>}
+   * @throws {Error} If the script fails to load or doesn't match its integrity hash
+   * @private
+   */
+  loadScript(src, integrity) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = src;
+      script.async = true;
+      if (integrity) {
+        // Integrity checks on cross-origin scripts need a CORS request
+        script.integrity = integrity;
+        script.crossOrigin = "anonymous";
+      }
+      script.onload = () => resolve();
+      script.onerror = () => reject(new Error(`Failed to load ${src}`));
+      document.head.appendChild(script);
+    });
+  }
+
+  /**
+   * Wait for a delay, rejecting early if the signal aborts
+   * @param {number} ms - Delay in milliseconds
+   * @param {AbortSignal} [signal] - Signal that cancels the wait
+   * @returns {Promise<void>}
+   * @private
+   */
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(signal.reason);
+      };
+      const timeoutId = setTimeout(() => {
+        if (signal) signal.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+
+      if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
   /**
    * Query selector wrapper with validation
    * @param {string} selector - CSS selector
@@ -180,661 +812,3524 @@ class PortfolioController {
     }
   }
 
-  // === INITIALIZATION ===
+  // === SECTION TYPE REGISTRY ===
 
   /**
-   * Initialize the portfolio controller
-   * @returns {Promise<void>}
-   * @throws {Error} If initialization fails
+   * @typedef {Object} SectionTypeDefinition
+   * @property {Function} build - Builds the section into `this.dom.content`. Called with the controller
+   *   as `this` and as `(section, controller)` so arrow functions can reach it too.
+   * @property {Function} [hydrate] - Attaches event listeners to a section that was pre-rendered into the
+   *   page (see scripts/prerender.js) instead of being built. Called like `build`. Types whose markup needs
+   *   no listeners can leave it out.
+   * @property {Function} [print] - Adds the section to the printable resume. Called with the controller
+   *   as `this` and `(section, resume)`, where `resume` is the Builder for the resume element. Types
+   *   without one are left out of the printed resume.
+   * @property {Object} [schema] - JSON Schema (subset, see {@link PortfolioController#validateSchema})
+   *   applied to sections of this type on top of the common section fields
+   * @property {Function} [validate] - Returns an array of problems for a section (empty or nothing when
+   *   the section is valid). Each problem is a message string or `{ path, message }` with `path` relative
+   *   to the section (e.g. "body[0].date"). Called with `(section, controller, data)`.
    */
-  async init() {
-    if (this.data !== null) {
-      this.log("Controller already initialized");
-      return;
+
+  /**
+   * Register a section type so `data.json` sections with a matching `type` can be validated and built
+   * @param {string} type - Section type identifier used in data.json (e.g. "timeline")
+   * @param {SectionTypeDefinition} definition - Builder and optional validator for the type
+   * @returns {PortfolioController} The controller, for chaining
+   * @throws {TypeError} If the type or definition is invalid
+   *
+   * @example
+   * portfolio.registerSectionType("quote", {
+   *   build(section) {
+   *     new this.Builder("blockquote", { id: `${section.section}-section`, innerText: section.body })
+   *       .appendTo(this.dom.content);
+   *   },
+   *   validate: (section) => (section.body ? [] : ["body is required"]),
+   * });
+   */
+  registerSectionType(type, definition) {
+    if (typeof type !== "string" || !type.trim()) {
+      throw new TypeError("Section type must be a non-empty string");
     }
 
-    try {
-      this.log("Initializing portfolio controller...");
+    if (!definition || typeof definition.build !== "function") {
+      throw new TypeError(`Section type "${type}" must provide a build function`);
+    }
 
-      // Check if BuilderJS is available
-      if (typeof Builder === "undefined") {
-        throw new Error("BuilderJS is not available. Please ensure builder.js is loaded.");
-      }
+    if (definition.validate !== undefined && typeof definition.validate !== "function") {
+      throw new TypeError(`Section type "${type}" validate must be a function`);
+    }
 
-      // Configure BuilderJS
-      Builder.setValidationMode(this.debug ? "warn" : "silent");
+    if (definition.hydrate !== undefined && typeof definition.hydrate !== "function") {
+      throw new TypeError(`Section type "${type}" hydrate must be a function`);
+    }
 
-      await this.loadPageData();
-      this.cacheDOMElements();
-      this.validateDOM();
+    if (definition.print !== undefined && typeof definition.print !== "function") {
+      throw new TypeError(`Section type "${type}" print must be a function`);
+    }
 
-      await this.buildPage();
+    if (definition.schema !== undefined && (typeof definition.schema !== "object" || definition.schema === null)) {
+      throw new TypeError(`Section type "${type}" schema must be an object`);
+    }
 
-      this.log("Portfolio initialization complete");
-    } catch (error) {
-      this.logError("Failed to initialize portfolio", error);
-      // Reset state on failure
-      this.data = null;
-      this.dom = {};
-      throw error;
+    if (this.sectionTypes.has(type)) {
+      this.log(`Overriding section type: ${type}`);
     }
+
+    this.sectionTypes.set(
+      type,
+      Object.freeze({
+        build: definition.build,
+        hydrate: definition.hydrate || null,
+        print: definition.print || null,
+        schema: definition.schema || null,
+        validate: definition.validate || null,
+      })
+    );
+
+    return this;
   }
 
   /**
-   * Load page data from JSON with proper error handling
-   * @returns {Promise<Object>} The loaded data object
-   * @throws {Error} If data loading or validation fails
+   * Get the registered section type identifiers
+   * @returns {string[]}
    */
-  async loadPageData() {
-    try {
-      this.log("Loading page data...");
+  getSectionTypes() {
+    return Array.from(this.sectionTypes.keys());
+  }
 
-      if (!this.dataUrl) {
-        throw new Error("No data URL configured");
-      }
+  // === DATA ADAPTERS ===
 
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
+  /**
+   * @typedef {Object} DataAdapterDefinition
+   * @property {RegExp} [pattern] - Data URLs the adapter is picked for (e.g. `/\.toml($|\?)/`). Adapters
+   *   without one are only used when named in the `dataAdapter` option.
+   * @property {string} [contentType="application/json"] - Media type sent in the `Accept` header
+   * @property {Function} [parse] - Turns the response text into data; may return a promise. Called
+   *   with the controller as `this` and as `(text, url)`. Defaults to `JSON.parse`.
+   * @property {Function} [transform] - Maps the parsed (or preloaded) data to the portfolio data
+   *   format; may return a promise. Called with the controller as `this` and as `(data, controller)`.
+   */
 
-      const response = await fetch(this.dataUrl, {
-        signal: controller.signal,
-        headers: {
-          Accept: "application/json",
-        },
-      });
+  /**
+   * Register a data adapter, which reads a data file format into portfolio data
+   * @param {string} name - Adapter name, as used in the `dataAdapter` option
+   * @param {DataAdapterDefinition} definition - How to recognize, parse and map the format
+   * @returns {PortfolioController} The controller, for chaining
+   * @throws {TypeError} If the name or definition is invalid
+   *
+   * @example
+   * portfolio.registerDataAdapter("csv-projects", {
+   *   pattern: /projects\.csv$/,
+   *   contentType: "text/csv",
+   *   parse: (text) => text.trim().split("\n").map((line) => line.split(",")),
+   *   transform: (rows) => ({
+   *     sections: [
+   *       { section: "projects", title: "Projects", type: "projects", body: rows.map(([title]) => ({ title })) },
+   *     ],
+   *   }),
+   * });
+   */
+  registerDataAdapter(name, definition) {
+    if (typeof name !== "string" || !name.trim()) {
+      throw new TypeError("Data adapter name must be a non-empty string");
+    }
 
-      clearTimeout(timeoutId);
+    if (!definition || typeof definition !== "object") {
+      throw new TypeError(`Data adapter "${name}" must be an object`);
+    }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+    // Duck-typed so patterns from another realm (an iframe, a test runner) are accepted too
+    if (definition.pattern !== undefined && !(definition.pattern && typeof definition.pattern.test === "function")) {
+      throw new TypeError(`Data adapter "${name}" pattern must be a RegExp`);
+    }
 
-      const contentType = response.headers.get("content-type");
-      if (!contentType || !contentType.includes("application/json")) {
-        this.log("Warning: Response may not be JSON");
-      }
+    if (definition.contentType !== undefined && typeof definition.contentType !== "string") {
+      throw new TypeError(`Data adapter "${name}" contentType must be a string`);
+    }
 
-      this.data = await response.json();
-      this.log("Data loaded successfully");
+    if (definition.parse !== undefined && typeof definition.parse !== "function") {
+      throw new TypeError(`Data adapter "${name}" parse must be a function`);
+    }
 
-      // Validate data structure
-      this.validateDataStructure();
+    if (definition.transform !== undefined && typeof definition.transform !== "function") {
+      throw new TypeError(`Data adapter "${name}" transform must be a function`);
+    }
 
-      return this.data;
-    } catch (error) {
-      if (error.name === "AbortError") {
-        throw new Error("Request timed out while loading data");
-      }
-      this.logError("Failed to load page data", error);
-      throw error;
+    if (this.dataAdapters.has(name)) {
+      this.log(`Overriding data adapter: ${name}`);
+      // Re-insert so the replacement takes its place as the most recent registration
+      this.dataAdapters.delete(name);
     }
+
+    this.dataAdapters.set(
+      name,
+      Object.freeze({
+        name,
+        pattern: definition.pattern || null,
+        contentType: definition.contentType || "application/json",
+        parse: definition.parse || ((text) => JSON.parse(text)),
+        transform: definition.transform || null,
+      })
+    );
+
+    return this;
   }
 
   /**
-   * Cache DOM elements for reuse with error handling
-   * @throws {Error} If critical DOM elements are missing
+   * Get the registered data adapter names
+   * @returns {string[]}
    */
-  cacheDOMElements() {
-    this.log("Caching DOM elements...");
+  getDataAdapters() {
+    return Array.from(this.dataAdapters.keys());
+  }
 
-    try {
-      const newDom = {};
-      const missingSelectors = [];
+  /**
+   * Pick the adapter for a data source
+   *
+   * The `dataAdapter` option wins; otherwise the most recently registered adapter whose pattern
+   * matches the URL, falling back to JSON.
+   * @param {string|null} url - Data URL, or null for preloaded data
+   * @returns {DataAdapterDefinition} The adapter, with its `name`
+   */
+  getDataAdapter(url) {
+    if (this.dataAdapter) {
+      return this.dataAdapters.get(this.dataAdapter);
+    }
 
-      Object.entries(this.config.selectors).forEach(([key, selector]) => {
-        try {
-          const element = this.get(selector);
-          newDom[key] = element;
+    const adapters = Array.from(this.dataAdapters.values()).reverse();
+    const match = url === null ? null : adapters.find((adapter) => adapter.pattern && adapter.pattern.test(url));
 
-          if (!element) {
-            missingSelectors.push(`${key} (${selector})`);
-          }
-        } catch (error) {
-          this.logError(`Failed to query selector for ${key}: ${selector}`, error);
-          newDom[key] = null;
-          missingSelectors.push(`${key} (${selector})`);
-        }
-      });
+    return match || this.dataAdapters.get("json");
+  }
 
-      // Update DOM cache
-      this.dom = newDom;
-
-      if (missingSelectors.length > 0) {
-        this.log(`Missing DOM elements: ${missingSelectors.join(", ")}`);
-      }
-
-      this.log("DOM elements cached");
-    } catch (error) {
-      this.logError("Failed to cache DOM elements", error);
-      throw error;
-    }
-  }
+  // === CONTENT SANITIZATION ===
 
   /**
-   * Refresh/rebuild the DOM cache - useful when new elements are created dynamically
+   * Sanitize an HTML string from data.json against the `config.sanitizer` allow-list
+   *
+   * Disallowed elements are unwrapped (their text is kept) except for those in `dropWithContent`,
+   * which are removed entirely. Attributes outside the allow-list, including every `on*` event
+   * handler and `style`, are stripped, and links are limited to http(s), mailto and tel URLs or
+   * relative references. Links opening a new tab always get `rel="noopener noreferrer"`.
+   * @param {string} html - Untrusted HTML
+   * @returns {string} Sanitized HTML safe to assign to `innerHTML`
    */
-  refreshCache() {
-    this.log("Refreshing DOM cache...");
-    this.cacheDOMElements();
-  }
+  sanitizeHTML(html) {
+    if (typeof html !== "string" || !html) {
+      return "";
+    }
 
-  /**
-   * Validate required DOM elements exist
-   * @throws {Error} If required DOM elements are missing
-   */
-  validateDOM() {
-    const required = ["linklist", "content"];
-    const missing = required.filter((key) => !this.dom[key]);
+    const { tags, globalAttributes, dropWithContent, protocols } = this.config.sanitizer;
 
-    if (missing.length > 0) {
-      const missingDetails = missing
-        .map((key) => {
-          const selector = this.config.selectors[key];
-          return `${key} (${selector})`;
-        })
-        .join(", ");
+    // Template content is inert: scripts don't run and resources don't load while parsing
+    const template = document.createElement("template");
+    template.innerHTML = html;
 
-      throw new Error(`Required DOM elements missing: ${missingDetails}`);
-    }
+    const clean = (parent) => {
+      Array.from(parent.childNodes).forEach((node) => {
+        if (node.nodeType === Node.TEXT_NODE) return;
 
-    this.log("DOM validation passed");
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+          node.remove();
+          return;
+        }
+
+        const tag = node.localName;
+
+        if (dropWithContent.includes(tag)) {
+          node.remove();
+          return;
+        }
+
+        clean(node);
+
+        if (!Object.prototype.hasOwnProperty.call(tags, tag)) {
+          node.replaceWith(...Array.from(node.childNodes));
+          return;
+        }
+
+        Array.from(node.attributes).forEach(({ name, value }) => {
+          const allowed = tags[tag].includes(name) || globalAttributes.includes(name);
+
+          if (!allowed || (name === "href" && !this.isSafeUrl(value, protocols))) {
+            node.removeAttribute(name);
+          }
+        });
+
+        if (tag === "a" && node.getAttribute("target") === "_blank") {
+          node.setAttribute("rel", "noopener noreferrer");
+        }
+      });
+    };
+
+    clean(template.content);
+    return template.innerHTML;
   }
 
   /**
-   * Validate data structure with comprehensive checks
-   * @throws {Error} If data structure is invalid
+   * Check whether a URL is relative or uses one of the allowed protocols
+   * @param {string} url - URL to check
+   * @param {ReadonlyArray<string>} protocols - Allowed protocols, including the trailing colon
+   * @returns {boolean}
+   * @private
    */
-  validateDataStructure() {
-    if (!this.data) {
-      throw new Error("No data loaded");
-    }
+  isSafeUrl(url, protocols) {
+    // Strip whitespace and control characters browsers ignore inside schemes ("java\tscript:")
+    const normalized = String(url).replace(/[\u0000-\u0020\u007f]+/g, "");
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+    return !scheme || protocols.includes(`${scheme[1].toLowerCase()}:`);
+  }
 
-    if (typeof this.data !== "object") {
-      throw new Error("Data must be an object");
-    }
+  // === INITIALIZATION ===
 
-    // Validate sections
-    if (!this.data.sections || !Array.isArray(this.data.sections)) {
-      throw new Error("Invalid data structure: sections missing or not array");
+  /**
+   * Initialize the portfolio controller
+   * @param {Object} [options] - Initialization options
+   * @param {AbortSignal} [options.signal] - Cancels data loading, including pending retries
+   * @returns {Promise<void>}
+   * @throws {PortfolioError} If data loading fails (see the Data*Error classes)
+   * @throws {Error} If initialization fails for another reason
+   */
+  async init(options = {}) {
+    if (this.data !== null) {
+      this.log("Controller already initialized");
+      return;
     }
 
-    if (this.data.sections.length === 0) {
-      throw new Error("No sections found in data");
-    }
+    try {
+      this.log("Initializing portfolio controller...");
 
-    // Validate each section
-    this.data.sections.forEach((section, index) => {
-      if (!section || typeof section !== "object") {
-        throw new Error(`Section ${index} is not an object`);
+      // Configure the renderer (BuilderJS or the built-in fallback)
+      if (this.Builder === DomBuilder) {
+        this.log("BuilderJS is not available, rendering with the built-in DomBuilder");
       }
-
-      const requiredFields = ["section", "title", "type"];
-      const missingFields = requiredFields.filter((field) => !section[field]);
-
-      if (missingFields.length > 0) {
-        throw new Error(`Section ${index} missing required fields: ${missingFields.join(", ")}`);
+      if (typeof this.Builder.setValidationMode === "function") {
+        this.Builder.setValidationMode(this.debug ? "warn" : "silent");
       }
 
-      const validTypes = ["pg", "ls", "rs"];
-      if (!validTypes.includes(section.type)) {
-        throw new Error(`Section ${index} has invalid type: ${section.type}. Valid types: ${validTypes.join(", ")}`);
-      }
-    });
+      await this.loadPageData({ signal: options.signal });
+      this.cacheDOMElements();
+      this.validateDOM();
 
-    // Validate icons (optional)
-    if (this.data.icons) {
-      if (typeof this.data.icons !== "object") {
-        throw new Error("Icons data must be an object");
-      }
-    }
+      await this.buildPage({ hydrate: this.claimPrerenderedContent() });
 
-    // Validate external links (optional)
-    if (this.data.ext) {
-      if (typeof this.data.ext !== "object") {
-        throw new Error("External links data must be an object");
-      }
+      this.log("Portfolio initialization complete");
+    } catch (error) {
+      this.logError("Failed to initialize portfolio", error);
+      // Reset state on failure
+      this.data = null;
+      this.dom = {};
+      throw error;
     }
-
-    this.log("Data structure validation passed");
   }
 
-  // === PAGE BUILDING ===
-
   /**
-   * Build the entire page with comprehensive error handling
-   * @returns {Promise<void>}
-   * @throws {Error} If page building fails
+   * Load page data from the data files (or preloaded data) with proper error handling
+   *
+   * Each file is read with the adapter for its format (see {@link PortfolioController#getDataAdapter});
+   * several files are fetched in parallel and merged (see {@link PortfolioController#mergeDataSources}).
+   * The base data files hold the default locale. When another locale is active, each file's overlay
+   * (see {@link PortfolioController#getLocaleDataUrl}) is merged over the base so any field it
+   * leaves out falls back to the default locale.
+   * @param {Object} [options] - Load options
+   * @param {AbortSignal} [options.signal] - Cancels the requests, including pending retries
+   * @returns {Promise<Object>} The loaded data object
+   * @throws {DataTimeoutError|DataNetworkError|DataHttpError|DataParseError|DataValidationError} If data loading or validation fails
    */
-  async buildPage() {
-    if (!this.data) {
-      throw new Error("No data available for building page");
-    }
-
-    this.log("Building page...");
+  async loadPageData(options = {}) {
+    const { signal } = options;
 
     try {
-      const buildSteps = [
-        { name: "navigation", fn: () => this.buildNavigation() },
-        { name: "sections", fn: () => this.buildSections() },
-        { name: "cache refresh", fn: () => this.refreshCache() },
-        { name: "external links", fn: () => this.buildExternalLinks() },
-        { name: "dev icons", fn: () => this.buildDevIcons() },
-      ];
+      this.log("Loading page data...");
 
-      for (const step of buildSteps) {
-        try {
-          this.log(`Building ${step.name}...`);
-          step.fn();
-        } catch (error) {
-          this.logError(`Failed to build ${step.name}`, error);
-          // Continue with other steps even if one fails
-        }
+      if (!this.dataUrl && !this.preloadedData) {
+        throw new Error("No data URL configured");
       }
 
-      this.log("Page building complete");
+      const sources = await this.loadSources({ signal });
+      const baseData = this.mergeDataSources(sources);
+      this.locale = this.detectLocale(this.getAvailableLocales(baseData));
+      this.data = baseData;
+
+      // The content is as old as the oldest file the service worker served from its cache,
+      // counting the manifest that listed the parts
+      const cachedUrls = sources.map(({ url }) => url);
+      if (!this.preloadedData && typeof this.dataUrl === "string") cachedUrls.push(this.dataUrl);
+      const cachedDates = cachedUrls.map((url) => this.responseCachedAt.get(url)).filter(Boolean);
+      this.dataCachedAt = cachedDates.length > 0 ? new Date(Math.min(...cachedDates)) : null;
+
+      // Preloaded data only has an overlay when a data URL is given alongside it
+      const overlaySources = this.preloadedData
+        ? typeof this.dataUrl === "string"
+          ? [{ url: this.dataUrl, adapter: null }]
+          : []
+        : sources;
+
+      if (this.locale !== this.defaultLocale && overlaySources.length > 0) {
+        const overlays = await Promise.allSettled(
+          overlaySources.map((source) =>
+            this.loadDataSource(this.getLocaleDataUrl(this.locale, source.url), { signal, adapter: source.adapter })
+          )
+        );
+        if (signal && signal.aborted) throw signal.reason;
+
+        overlays.forEach((result, index) => {
+          const localeUrl = this.getLocaleDataUrl(this.locale, overlaySources[index].url);
+
+          if (result.status === "fulfilled") {
+            this.data = this.mergeLocaleData(this.data, result.value);
+            this.log(`Merged ${this.locale} data from ${localeUrl}`);
+          } else {
+            this.logError(
+              `Failed to load ${this.locale} data from ${localeUrl}, using ${this.defaultLocale}`,
+              result.reason
+            );
+          }
+        });
+      }
+
+      this.log("Data loaded successfully");
+
+      // Validate data structure
+      this.validateDataStructure();
+      this.applyLocale();
+
+      return this.data;
     } catch (error) {
-      this.logError("Critical error during page building", error);
+      this.logError("Failed to load page data", error);
       throw error;
     }
   }
 
   /**
-   * Build navigation links with validation
+   * Load the configured data: preloaded data, one file, every file in a list, or the files a
+   * manifest lists (in parallel)
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the requests and any pending retries
+   * @returns {Promise<Array<{url: string, adapter: ?string, data: Object}>>} Data of each source, in
+   *   precedence order
+   * @throws {DataTimeoutError|DataNetworkError|DataHttpError|DataParseError} If any source fails to load
+   * @throws {DataValidationError} If the data file is a malformed manifest
    */
-  buildNavigation() {
-    if (!this.data?.sections || !Array.isArray(this.data.sections)) {
-      this.log("No sections data available for navigation");
-      return;
-    }
+  async loadSources(options = {}) {
+    const { signal } = options;
 
-    if (!this.dom.linklist) {
-      this.log("Navigation container not found");
-      return;
+    if (this.preloadedData) {
+      const data = await this.loadDataSource(this.preloadedData, { signal });
+      return [{ url: "preloaded data", adapter: null, data }];
     }
 
-    this.log(`Building navigation with ${this.data.sections.length} items...`);
+    let sources;
+    if (typeof this.dataUrl === "string") {
+      const data = await this.loadDataSource(this.dataUrl, { signal });
+      if (!this.isDataManifest(data)) {
+        return [{ url: this.dataUrl, adapter: null, data }];
+      }
 
-    let successCount = 0;
-    let errorCount = 0;
+      // Manifest entries are relative to the manifest
+      this.log(`Loading the data sources listed in ${this.dataUrl}`);
+      sources = this.normalizeDataSources(data, new URL(this.dataUrl, window.location.href).href);
+    } else {
+      sources = this.normalizeDataSources(this.dataUrl);
+    }
 
-    this.data.sections.forEach((section, index) => {
-      try {
-        // Validate section data
-        if (!section?.section || !section?.title) {
-          throw new Error(`Invalid section data at index ${index}`);
-        }
+    if (signal && signal.aborted) throw signal.reason;
 
-        // Create the li element and use scope to add the a child
-        const listItem = new Builder("li").scope((listItem) => {
-          listItem.addChild("a", {
-            href: `#${section.section}-section`,
-            innerText: section.title,
-            "data-text": section.title,
-          });
-        });
+    // Stop the other requests, and their retries, as soon as one source fails or the caller cancels
+    const sourcesController = new AbortController();
+    const onAbort = () => sourcesController.abort(signal.reason);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
 
-        // Append the li element to the ul container
-        listItem.appendTo(this.dom.linklist);
-        successCount++;
-      } catch (error) {
-        this.logError(`Failed to build nav link for section ${index} (${section?.section || "unknown"})`, error);
-        errorCount++;
-      }
-    });
+    try {
+      return await Promise.all(
+        sources.map(async (source) => {
+          try {
+            const data = await this.loadDataSource(source.url, {
+              signal: sourcesController.signal,
+              adapter: source.adapter,
+            });
+            return { ...source, data };
+          } catch (error) {
+            sourcesController.abort(error);
+            throw error;
+          }
+        })
+      );
+    } finally {
+      if (signal) signal.removeEventListener("abort", onAbort);
+    }
+  }
 
-    this.log(`Navigation building complete: ${successCount} success, ${errorCount} errors`);
+  /**
+   * Check whether loaded data is a manifest of data sources rather than portfolio data
+   * @param {*} data - Loaded data
+   * @returns {boolean}
+   */
+  isDataManifest(data) {
+    return Boolean(data) && Array.isArray(data.sources) && !("sections" in data);
   }
 
   /**
-   * Build content sections with validation and error handling
+   * Validate and normalize a list or manifest of data sources
+   * @param {Array<string|Object>|Object} value - URLs or `{ url, adapter }` objects, or `{ sources: [...] }`
+   * @param {string} [baseUrl] - URL relative source URLs resolve against (the manifest's)
+   * @returns {Array<{url: string, adapter: ?string}>} Sources in precedence order
+   * @throws {TypeError} If the list is empty or a source is invalid
+   * @throws {DataValidationError} If a manifest (given a `baseUrl`) is empty or lists an invalid source
    */
-  buildSections() {
-    if (!this.data?.sections || !Array.isArray(this.data.sections)) {
-      this.log("No sections data available");
-      return;
+  normalizeDataSources(value, baseUrl) {
+    // Bad options are a programming error, a bad manifest is bad data
+    const invalid = (message, path) =>
+      baseUrl
+        ? new DataValidationError(`Invalid data manifest ${baseUrl}: ${message}`, [{ path, message }])
+        : new TypeError(message);
+
+    const list = Array.isArray(value) ? value : value && Array.isArray(value.sources) ? value.sources : null;
+    if (!list || list.length === 0) {
+      throw invalid("Data sources must be a non-empty list of URLs or { url, adapter } objects", "sources");
     }
 
-    if (!this.dom.content) {
-      this.log("Content container not found");
-      return;
-    }
+    return list.map((source, index) => {
+      const entry = typeof source === "string" ? { url: source } : source;
 
-    this.log(`Building ${this.data.sections.length} content sections...`);
+      if (!entry || typeof entry.url !== "string" || !entry.url) {
+        throw invalid(`Data source ${index} must be a URL or have a "url"`, `sources[${index}]`);
+      }
+      if (entry.adapter !== undefined && !this.dataAdapters.has(entry.adapter)) {
+        throw invalid(`Unknown data adapter for ${entry.url}: ${entry.adapter}`, `sources[${index}].adapter`);
+      }
 
-    let successCount = 0;
-    let errorCount = 0;
+      return { url: baseUrl ? new URL(entry.url, baseUrl).href : entry.url, adapter: entry.adapter || null };
+    });
+  }
 
-    this.data.sections.forEach((section, index) => {
-      try {
-        // Validate section data
-        if (!section || typeof section !== "object") {
-          throw new Error(`Section ${index} is not an object`);
-        }
+  /**
+   * Merge the data of several sources into one portfolio data object
+   *
+   * Later sources take precedence: objects merge recursively and a later value replaces an
+   * earlier one. Arrays whose items all have a `section` (or all an `id`) merge item by item on
+   * that key, with new items appended; other arrays are replaced. Sections are then ordered by
+   * their optional numeric `order`; a section without one counts as its index in the merged list,
+   * so `order: 1.5` places a section between the second and third. The sources of each
+   * section are kept for {@link PortfolioController#getSectionSources} and logged in debug mode.
+   * @param {Array<{url: string, data: Object}>} sources - Data of each source, in precedence order
+   * @returns {Object} Merged data
+   * @throws {DataValidationError} If a source's data is not an object
+   */
+  mergeDataSources(sources) {
+    let merged = {};
+    this.sectionSources = new Map();
+
+    sources.forEach(({ url, data }) => {
+      if (!data || typeof data !== "object" || Array.isArray(data)) {
+        throw new DataValidationError(`Data from ${url} must be an object`, [
+          { path: "", message: `${url} does not contain an object` },
+        ]);
+      }
 
-        if (!section.type) {
-          throw new Error(`Section ${index} missing type`);
+      (Array.isArray(data.sections) ? data.sections : []).forEach((section) => {
+        if (section && typeof section.section === "string") {
+          this.sectionSources.set(section.section, [...(this.sectionSources.get(section.section) || []), url]);
         }
+      });
 
-        const builder = this.sectionBuilders[section.type];
-
-        if (!builder) {
-          throw new Error(`Unknown section type: ${section.type}`);
-        }
+      merged = this.mergeData(merged, data);
+    });
 
-        if (typeof builder !== "function") {
-          throw new Error(`Invalid builder for type: ${section.type}`);
-        }
+    if (Array.isArray(merged.sections)) {
+      merged.sections = merged.sections
+        .map((section, index) => ({
+          section,
+          index,
+          order: section && typeof section.order === "number" ? section.order : index,
+        }))
+        .sort((a, b) => a.order - b.order || a.index - b.index)
+        .map(({ section }) => section);
+    }
 
-        builder(section);
-        successCount++;
-        this.log(`Built section: ${section.section} (${section.type})`);
-      } catch (error) {
-        this.logError(`Failed to build section ${index} (${section?.section || "unknown"})`, error);
-        errorCount++;
-      }
-    });
+    if (sources.length > 1) {
+      this.sectionSources.forEach((urls, id) => this.log(`Section "${id}" from ${urls.join(" + ")}`));
+    }
 
-    this.log(`Section building complete: ${successCount} success, ${errorCount} errors`);
+    return merged;
   }
 
   /**
-   * Build external links
+   * Merge one source's data over another's (see {@link PortfolioController#mergeDataSources})
+   * @param {*} base - Earlier data
+   * @param {*} overlay - Later data, which takes precedence
+   * @returns {*} Merged data
    */
-  buildExternalLinks() {
-    if (!this.data.ext || !this.dom.extIcons) return;
+  mergeData(base, overlay) {
+    const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
 
-    this.log("Building external links...");
+    if (Array.isArray(base) && Array.isArray(overlay)) {
+      const items = base.concat(overlay);
+      const key = ["section", "id"].find((name) =>
+        items.every((item) => isObject(item) && typeof item[name] === "string")
+      );
 
-    Object.entries(this.data.ext).forEach(([key, entry]) => {
-      if (!entry.link || !entry.icon) {
-        this.log(`Invalid external link data for ${key}`);
-        return;
+      if (!key) {
+        return overlay;
       }
 
-      try {
-        // Create the complete link structure
-        const linkElement = new Builder("a", {
-          class: this.config.classes.bounce,
-          href: entry.link,
-          target: "_blank",
-          rel: "noopener noreferrer",
-          "aria-label": `Visit ${key}`,
-        }).scope((icon) => {
-          icon.addChild("i", {
-            class: `devicon-${entry.icon}`,
-            "aria-hidden": "true",
-          });
-        });
+      const merged = base.slice();
+      overlay.forEach((item) => {
+        const index = merged.findIndex((entry) => entry[key] === item[key]);
+        if (index === -1) {
+          merged.push(item);
+        } else {
+          merged[index] = this.mergeData(merged[index], item);
+        }
+      });
+      return merged;
+    }
 
-        // Append the complete link to the container
-        linkElement.appendTo(this.dom.extIcons);
-      } catch (error) {
-        this.logError(`Failed to build external link for ${key}`, error);
-      }
-    });
+    if (isObject(base) && isObject(overlay)) {
+      const merged = { ...base };
+      Object.keys(overlay).forEach((key) => {
+        merged[key] = key in base ? this.mergeData(base[key], overlay[key]) : overlay[key];
+      });
+      return merged;
+    }
+
+    return overlay;
   }
 
   /**
-   * Build dev icons (languages and tools)
+   * Load a data source with its adapter: fetch and parse a URL, or take preloaded data, then map it
+   * @param {string|Object} source - Data URL or preloaded data
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+   * @param {string} [options.adapter] - Adapter to use instead of picking one by URL
+   * @returns {Promise<Object>} Portfolio data
+   * @throws {DataTimeoutError|DataNetworkError|DataHttpError|DataParseError} If loading, parsing or mapping fails
    */
-  buildDevIcons() {
-    if (!this.data.icons) return;
-
-    this.log("Building dev icons...");
+  async loadDataSource(source, options = {}) {
+    const url = typeof source === "string" ? source : null;
+    const adapter = options.adapter ? this.dataAdapters.get(options.adapter) : this.getDataAdapter(url);
+    const data = url === null ? source : await this.fetchData(url, adapter, options);
 
-    // Build language icons
-    if (this.data.icons.languages && this.dom.langIcons) {
-      this.log("Building language icons");
-      this.buildIconSet(this.data.icons.languages, this.dom.langIcons);
-    } else {
-      this.log("Language icons container not found or no language data");
+    if (!adapter.transform) {
+      return data;
     }
 
-    // Build tool icons
-    if (this.data.icons.tools && this.dom.toolIcons) {
-      this.log("Building tool icons");
-      this.buildIconSet(this.data.icons.tools, this.dom.toolIcons);
-    } else {
-      this.log("Tool icons container not found or no tool data");
+    try {
+      this.log(`Mapping ${url || "preloaded data"} with the ${adapter.name} adapter`);
+      return await adapter.transform.call(this, data, this);
+    } catch (error) {
+      throw new DataParseError(url || "preloaded data", error);
     }
   }
 
   /**
-   * Build a set of icons
-   * @param {Array} icons - Array of icon names
-   * @param {HTMLElement} container - Container element
+   * Fetch and parse a JSON file, retrying transient failures with exponential backoff
+   * @param {string} url - URL of the JSON file
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+   * @returns {Promise<Object>} Parsed JSON
+   * @throws {DataTimeoutError|DataNetworkError|DataHttpError|DataParseError} If every attempt fails
    */
-  buildIconSet(icons, container) {
-    icons.forEach((icon) => {
-      try {
-        const iconBuilder = new Builder("span").scope((span) => {
-          span.addChild("i", {
-            class: `devicon-${icon}-plain`,
-            title: icon,
-          });
-          span.addChild("span", {
-            class: "icon-label",
-            innerText: icon.charAt(0).toUpperCase() + icon.slice(1),
-          });
-        });
+  fetchJSON(url, options = {}) {
+    return this.fetchData(url, this.dataAdapters.get("json"), options);
+  }
+
+  /**
+   * Fetch a data file and parse it with an adapter, retrying transient failures with exponential backoff
+   *
+   * Records in `responseCachedAt` when the service worker cached the response, if it came from its cache.
+   * @param {string} url - URL of the data file
+   * @param {DataAdapterDefinition} adapter - Adapter that parses the response
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+   * @returns {Promise<*>} Parsed data
+   * @throws {DataTimeoutError|DataNetworkError|DataHttpError|DataParseError} If every attempt fails
+   */
+  async fetchData(url, adapter, options = {}) {
+    const { signal } = options;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.fetchDataOnce(url, adapter, signal);
+      } catch (error) {
+        if (attempt >= this.retries || !this.isRetryableError(error) || (signal && signal.aborted)) {
+          throw error;
+        }
+
+        const delay = this.retryDelay * Math.pow(this.retryBackoff, attempt);
+        this.log(`Loading ${url} failed (${error.message}), retry ${attempt + 1}/${this.retries} in ${delay}ms`);
+        await this.wait(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Make a single attempt at fetching and parsing a data file
+   * @param {string} url - URL of the data file
+   * @param {DataAdapterDefinition} adapter - Adapter that parses the response
+   * @param {AbortSignal} [signal] - Caller's abort signal
+   * @returns {Promise<*>} Parsed data
+   * @throws {DataTimeoutError|DataNetworkError|DataHttpError|DataParseError} If the attempt fails
+   * @private
+   */
+  async fetchDataOnce(url, adapter, signal) {
+    if (signal && signal.aborted) throw signal.reason;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const onAbort = () => controller.abort();
+
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+
+    try {
+      let response;
+      try {
+        response = await fetch(url, {
+          signal: controller.signal,
+          headers: {
+            Accept: adapter.contentType,
+          },
+        });
+      } catch (error) {
+        if (error.name === "AbortError") throw error;
+        // Anything else (a TypeError in browsers) means the request itself failed
+        throw new DataNetworkError(url, error);
+      }
+
+      if (!response.ok) {
+        throw new DataHttpError(url, response.status, response.statusText);
+      }
+
+      const contentType = response.headers.get("content-type");
+      if (!contentType || !contentType.includes(adapter.contentType)) {
+        this.log(`Warning: Response may not be ${adapter.contentType}`);
+      }
+
+      const cachedAt = response.headers.get("sw-cached-at");
+      this.responseCachedAt.set(url, cachedAt ? new Date(cachedAt) : null);
+
+      const text = await response.text();
+
+      try {
+        return await adapter.parse.call(this, text, url);
+      } catch (error) {
+        throw new DataParseError(url, error);
+      }
+    } catch (error) {
+      if (error.name === "AbortError") {
+        // Caller cancellations propagate as-is; our own abort means the timeout fired
+        if (signal && signal.aborted) throw signal.reason;
+        throw new DataTimeoutError(url, this.timeout);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      if (signal) signal.removeEventListener("abort", onAbort);
+    }
+  }
+
+  /**
+   * Check whether a failed request is worth retrying
+   *
+   * Timeouts, network failures and 408/429/5xx responses are retried; other HTTP errors,
+   * parse errors and cancellations are not.
+   * @param {Error} error - Error from a request attempt
+   * @returns {boolean}
+   * @private
+   */
+  isRetryableError(error) {
+    if (error instanceof DataTimeoutError) return true;
+    if (error instanceof DataHttpError) return error.status === 408 || error.status === 429 || error.status >= 500;
+    return error instanceof DataNetworkError;
+  }
+
+  // === DATA FORMATS ===
+
+  /**
+   * Parse YAML text with js-yaml, loading it on first use
+   * @param {string} text - YAML document
+   * @returns {Promise<*>} Parsed data
+   * @throws {Error} If js-yaml can't be loaded or the YAML is invalid
+   */
+  async parseYAML(text) {
+    const yaml = await this.loadYAMLParser();
+    return yaml.load(text);
+  }
+
+  /**
+   * Load js-yaml, once (see `options.yaml`)
+   * @returns {Promise<Object>} The js-yaml module (`window.jsyaml`)
+   */
+  loadYAMLParser() {
+    if (window.jsyaml) {
+      return Promise.resolve(window.jsyaml);
+    }
+
+    if (!this.yamlPromise) {
+      const { src, integrity } = this.config.yaml;
+
+      this.yamlPromise = this.loadScript(src, integrity)
+        .then(() => {
+          if (!window.jsyaml) {
+            throw new Error("js-yaml loaded but jsyaml is not defined");
+          }
+          return window.jsyaml;
+        })
+        .catch((error) => {
+          // Allow a later load to try again
+          this.yamlPromise = null;
+          throw error;
+        });
+    }
+
+    return this.yamlPromise;
+  }
+
+  /**
+   * Map a JSON Resume document (https://jsonresume.org/schema) to portfolio data
+   *
+   * `basics` supplies the about section, page metadata and external links (from `profiles`);
+   * `work`, `volunteer`, `education`, `awards`, `certificates`, `publications`, `languages`,
+   * `interests` and `references` become list sections, `projects` a projects section and `skills`
+   * a skills section with one icon group per skill. Text is escaped, since list and paragraph
+   * bodies are rich text. Sections with no entries are left out.
+   * @param {Object} resume - JSON Resume data
+   * @returns {Object} Portfolio data
+   * @throws {TypeError} If the resume is not an object
+   */
+  mapJsonResume(resume) {
+    if (!resume || typeof resume !== "object" || Array.isArray(resume)) {
+      throw new TypeError("JSON Resume data must be an object");
+    }
+
+    const text = (value) => (typeof value === "string" ? value.trim() : "");
+    const escape = (value) => text(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+    const entries = (value) =>
+      Array.isArray(value) ? value.filter((entry) => entry && typeof entry === "object") : [];
+    const words = (value) => (Array.isArray(value) ? value.map(text).filter(Boolean) : []);
+    // Drop empty fields so optional schema fields are simply absent
+    const compact = (object) =>
+      Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== ""));
+    // ISO 8601 dates ("2021-07-01", "2021-07" or "2021") as the "YYYY-MM" the list sections use
+    const month = (value) => {
+      const match = /^(\d{4})(?:-(0[1-9]|1[0-2]))?/.exec(text(value));
+      return match ? `${match[1]}-${match[2] || "01"}` : undefined;
+    };
+    // Summary paragraph followed by the highlights as a bullet list
+    const details = (summary, highlights = []) => {
+      const items = words(highlights).map((highlight) => `<li>${escape(highlight)}</li>`);
+      return escape(summary) + (items.length > 0 ? `<ul>${items.join("")}</ul>` : "");
+    };
+    // Devicon names are lowercase and alphanumeric ("C++" -> "cplusplus", "Node.js" -> "nodejs")
+    const iconName = (label) =>
+      label.toLowerCase().replace(/\+/g, "plus").replace(/#/g, "sharp").replace(/[^a-z0-9]/g, "");
+
+    const basics = resume.basics && typeof resume.basics === "object" ? resume.basics : {};
+    const sections = [];
+
+    const addList = (section, title, list, toItem, extra = {}) => {
+      const body = entries(list)
+        .map(toItem)
+        .filter((item) => item.header);
+      if (body.length > 0) {
+        sections.push({ section, title, type: "ls", ...extra, body });
+      }
+    };
+
+    if (text(basics.summary)) {
+      sections.push({ section: "about", title: "About Me", type: "pg", body: escape(basics.summary) });
+    }
+
+    addList(
+      "experience",
+      "Experience",
+      resume.work,
+      (job) =>
+        compact({
+          header: text(job.name) || text(job.company),
+          subheader: text(job.position),
+          start: month(job.startDate),
+          end: month(job.endDate),
+          main: details(job.summary, job.highlights),
+        }),
+      { layout: "timeline" }
+    );
+
+    addList("volunteer", "Volunteering", resume.volunteer, (role) =>
+      compact({
+        header: text(role.organization),
+        subheader: text(role.position),
+        start: month(role.startDate),
+        end: month(role.endDate),
+        main: details(role.summary, role.highlights),
+      })
+    );
+
+    addList("education", "Education", resume.education, (study) =>
+      compact({
+        header: text(study.institution),
+        subheader: [text(study.studyType), text(study.area)].filter(Boolean).join(", "),
+        start: month(study.startDate),
+        end: month(study.endDate),
+        main: details(text(study.score) ? `Score: ${text(study.score)}` : "", study.courses),
+      })
+    );
+
+    // Skills, one icon group each, with keywords as the icons (or the skill itself without any)
+    const levels = { beginner: 1, novice: 1, intermediate: 3, advanced: 4, expert: 5, master: 5 };
+    const icons = {};
+    entries(resume.skills).forEach((skill, index) => {
+      const name = text(skill.name);
+      const level = levels[text(skill.level).toLowerCase()];
+      const labels = words(skill.keywords);
+      const items = (labels.length > 0 ? labels : [name])
+        .filter((label) => iconName(label))
+        .map((label) => compact({ icon: iconName(label), label, level }));
+
+      if (items.length > 0) {
+        icons[this.slugify(name) || `skills-${index + 1}`] = compact({ title: name, items });
+      }
+    });
+    if (Object.keys(icons).length > 0) {
+      sections.push({ section: "skills", title: "Skills", type: "skills" });
+    }
+
+    const projects = entries(resume.projects)
+      .map((project) => {
+        const url = text(project.url);
+        const isRepo = /^https?:\/\/(www\.)?(github\.com|gitlab\.com|bitbucket\.org)\//i.test(url);
+        const tags = words(project.keywords);
+
+        return compact({
+          id: this.slugify(text(project.name)) || undefined,
+          title: text(project.name),
+          description: details(project.description, project.highlights),
+          tags: tags.length > 0 ? tags : undefined,
+          repo: isRepo ? url : undefined,
+          demo: url && !isRepo ? url : undefined,
+          date: month(project.startDate),
+        });
+      })
+      .filter((project) => project.title);
+    if (projects.length > 0) {
+      sections.push({ section: "projects", title: "Projects", type: "projects", body: projects });
+    }
+
+    addList("awards", "Awards", resume.awards, (award) =>
+      compact({
+        header: text(award.title),
+        subheader: text(award.awarder),
+        subsubheader: text(award.date),
+        main: details(award.summary),
+      })
+    );
+
+    addList("certificates", "Certificates", resume.certificates, (certificate) =>
+      compact({
+        header: text(certificate.name),
+        subheader: text(certificate.issuer),
+        subsubheader: text(certificate.date),
+      })
+    );
+
+    addList("publications", "Publications", resume.publications, (publication) =>
+      compact({
+        header: text(publication.name),
+        subheader: text(publication.publisher),
+        subsubheader: text(publication.releaseDate),
+        main: details(publication.summary),
+      })
+    );
+
+    addList("languages", "Languages", resume.languages, (language) =>
+      compact({ header: text(language.language), subheader: text(language.fluency) })
+    );
+
+    addList("interests", "Interests", resume.interests, (interest) =>
+      compact({ header: text(interest.name), main: escape(words(interest.keywords).join(", ")) })
+    );
+
+    addList("references", "References", resume.references, (reference) =>
+      compact({ header: text(reference.name), main: escape(reference.reference) })
+    );
+
+    // Profiles with a link become header icons, keyed by network ("GitHub" -> "github")
+    const ext = {};
+    entries(basics.profiles).forEach((profile) => {
+      const network = iconName(text(profile.network));
+      const link = text(profile.url);
+      if (network && /^https?:\/\//i.test(link)) {
+        ext[network] = { icon: `${network}-plain`, link };
+      }
+    });
+
+    const meta = compact({
+      name: text(basics.name),
+      jobTitle: text(basics.label),
+      description: text(basics.summary),
+      url: text(basics.url),
+      image: text(basics.image),
+      email: text(basics.email),
+    });
+
+    return { sections, icons, ext, meta };
+  }
+
+  // === LOCALIZATION ===
+
+  /**
+   * Get the locales offered by the data
+   *
+   * data.json lists them as `locales: { "en": "English", "es": "Español" }`; without that map
+   * only the default locale is available.
+   * @param {Object} [data=this.data] - Portfolio data
+   * @returns {Object<string, string>} Locale codes mapped to their display names
+   */
+  getAvailableLocales(data = this.data) {
+    const locales = data && data.locales && typeof data.locales === "object" ? data.locales : {};
+    return Object.keys(locales).length > 0 ? { ...locales } : { [this.defaultLocale]: this.defaultLocale };
+  }
+
+  /**
+   * Pick the locale to display
+   *
+   * Precedence: `?lang=` URL parameter, saved choice, `navigator.languages`, then the default
+   * locale. Candidates match exactly or by base language ("es-MX" matches "es").
+   * @param {Object<string, string>} available - Available locales (see {@link PortfolioController#getAvailableLocales})
+   * @returns {string} Locale code
+   */
+  detectLocale(available) {
+    const codes = Object.keys(available);
+    const match = (candidate) => {
+      if (typeof candidate !== "string" || !candidate) return null;
+
+      const lower = candidate.toLowerCase();
+      return (
+        codes.find((code) => code.toLowerCase() === lower) ||
+        codes.find((code) => code.toLowerCase() === lower.split("-")[0]) ||
+        null
+      );
+    };
+
+    const candidates = [new URLSearchParams(window.location.search).get("lang"), this.getSavedLocale()];
+
+    if (typeof navigator !== "undefined") {
+      candidates.push(...(navigator.languages || [navigator.language]));
+    }
+
+    for (const candidate of candidates) {
+      const locale = match(candidate);
+      if (locale) return locale;
+    }
+
+    return this.defaultLocale;
+  }
+
+  /**
+   * Get the URL of a locale's overlay data file
+   * @param {string} locale - Locale code
+   * @param {string} [url=this.dataUrl] - URL of the base data file
+   * @returns {string} e.g. "./data/data.es.json" for "./data/data.json" ("data.es.yaml" for "data.yaml")
+   */
+  getLocaleDataUrl(locale, url = this.dataUrl) {
+    const extension = /(\.(?:json|ya?ml))($|\?)/i;
+    return extension.test(url) ? url.replace(extension, `.${locale}$1$2`) : `${url}.${locale}`;
+  }
+
+  /**
+   * Merge locale overlay data over the base data, field by field
+   *
+   * Objects merge recursively, `sections` are matched by their `section` id and other arrays by
+   * index. Missing, null or empty-string fields in the overlay keep the base value.
+   * @param {*} base - Default locale data
+   * @param {*} overlay - Translated data
+   * @returns {*} Merged data
+   */
+  mergeLocaleData(base, overlay) {
+    if (overlay === undefined || overlay === null || overlay === "") {
+      return base;
+    }
+
+    if (Array.isArray(base) && Array.isArray(overlay)) {
+      const keyed = base.every((item) => item && typeof item.section === "string");
+
+      if (keyed) {
+        return base.map((item) => {
+          const translated = overlay.find((entry) => entry && entry.section === item.section);
+          return this.mergeLocaleData(item, translated);
+        });
+      }
+
+      return base.map((item, index) => this.mergeLocaleData(item, overlay[index]));
+    }
+
+    if (base && typeof base === "object" && !Array.isArray(base) && typeof overlay === "object" && !Array.isArray(overlay)) {
+      const merged = { ...base };
+      Object.keys(overlay).forEach((key) => {
+        merged[key] = key in base ? this.mergeLocaleData(base[key], overlay[key]) : overlay[key];
+      });
+      return merged;
+    }
+
+    return typeof overlay === typeof base || base === undefined ? overlay : base;
+  }
+
+  /**
+   * Get the saved locale from localStorage
+   * @returns {string|null} Saved locale or null if not found
+   */
+  getSavedLocale() {
+    try {
+      return localStorage.getItem(this.localeStorageKey);
+    } catch (error) {
+      console.warn("Could not read locale from localStorage:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the locale choice to localStorage
+   * @param {string} locale - Locale to save
+   */
+  saveLocale(locale) {
+    try {
+      localStorage.setItem(this.localeStorageKey, locale);
+    } catch (error) {
+      console.warn("Could not save locale to localStorage:", error);
+    }
+  }
+
+  /**
+   * Reflect the active locale on the document
+   */
+  applyLocale() {
+    document.documentElement.setAttribute("lang", this.locale || this.defaultLocale);
+  }
+
+  /**
+   * Switch to another locale, remember the choice and rebuild the page
+   * @param {string} locale - Locale code from the available locales
+   * @returns {Promise<void>}
+   */
+  async setLocale(locale) {
+    if (!Object.prototype.hasOwnProperty.call(this.getAvailableLocales(), locale)) {
+      console.warn(`Invalid locale: ${locale}`);
+      return;
+    }
+
+    this.log(`Setting locale to: ${locale}`);
+    this.saveLocale(locale);
+
+    // A ?lang= parameter would otherwise override the new choice on refresh
+    const url = new URL(window.location.href);
+    if (url.searchParams.has("lang")) {
+      url.searchParams.set("lang", locale);
+      window.history.replaceState(null, "", url);
+    }
+
+    await this.refresh();
+  }
+
+  /**
+   * Handle a change of the language switcher
+   * @param {Event} event - Change event from the locale select
+   */
+  handleLocaleChange(event) {
+    this.setLocale(event.target.value).catch((error) => {
+      this.logError("Failed to switch locale", error);
+    });
+  }
+
+  /**
+   * Cache DOM elements for reuse with error handling
+   * @throws {Error} If critical DOM elements are missing
+   */
+  cacheDOMElements() {
+    this.log("Caching DOM elements...");
+
+    try {
+      const newDom = {};
+      const missingSelectors = [];
+
+      Object.entries(this.config.selectors).forEach(([key, selector]) => {
+        try {
+          const element = this.get(selector);
+          newDom[key] = element;
+
+          if (!element) {
+            missingSelectors.push(`${key} (${selector})`);
+          }
+        } catch (error) {
+          this.logError(`Failed to query selector for ${key}: ${selector}`, error);
+          newDom[key] = null;
+          missingSelectors.push(`${key} (${selector})`);
+        }
+      });
+
+      // Update DOM cache
+      this.dom = newDom;
+
+      if (missingSelectors.length > 0) {
+        this.log(`Missing DOM elements: ${missingSelectors.join(", ")}`);
+      }
+
+      this.log("DOM elements cached");
+    } catch (error) {
+      this.logError("Failed to cache DOM elements", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh/rebuild the DOM cache - useful when new elements are created dynamically
+   */
+  refreshCache() {
+    this.log("Refreshing DOM cache...");
+    this.cacheDOMElements();
+  }
+
+  /**
+   * Validate required DOM elements exist
+   * @throws {Error} If required DOM elements are missing
+   */
+  validateDOM() {
+    const required = ["linklist", "content"];
+    const missing = required.filter((key) => !this.dom[key]);
+
+    if (missing.length > 0) {
+      const missingDetails = missing
+        .map((key) => {
+          const selector = this.config.selectors[key];
+          return `${key} (${selector})`;
+        })
+        .join(", ");
+
+      throw new Error(`Required DOM elements missing: ${missingDetails}`);
+    }
+
+    this.log("DOM validation passed");
+  }
+
+  /**
+   * Validate data structure with comprehensive checks
+   * @throws {DataValidationError} If data structure is invalid. The error's `errors` property holds
+   *   every problem found as `{ path, message }` objects.
+   */
+  validateDataStructure() {
+    if (!this.data) {
+      throw new DataValidationError("No data loaded");
+    }
+
+    const errors = this.validateData(this.data);
+
+    if (errors.length > 0) {
+      errors.forEach(({ path, message }) => this.logError(`Invalid data at ${path || "(root)"}: ${message}`));
+
+      const summary = errors.map(({ path, message }) => `${path || "(root)"}: ${message}`).join("; ");
+      throw new DataValidationError(
+        `Invalid data structure (${errors.length} problem${errors.length === 1 ? "" : "s"}): ${summary}`,
+        errors
+      );
+    }
+
+    this.log("Data structure validation passed");
+  }
+
+  /**
+   * Validate a portfolio data object against the data schema and the registered section types
+   * @param {*} data - Parsed data.json contents
+   * @returns {Array<{path: string, message: string}>} Every problem found (empty when valid)
+   *
+   * @example
+   * portfolio.validateData({ sections: [{ section: "about", title: "About", type: "ls", body: [{}] }] });
+   * // => [{ path: "sections[0].body[0]", message: "missing required property \"header\"" }]
+   */
+  validateData(data) {
+    const errors = this.validateSchema(data, this.getDataSchema());
+
+    if (!data || !Array.isArray(data.sections)) {
+      return errors;
+    }
+
+    data.sections.forEach((section, index) => {
+      const definition = section && this.sectionTypes.get(section.type);
+      if (!definition) return;
+
+      const path = `sections[${index}]`;
+
+      if (definition.schema) {
+        errors.push(...this.validateSchema(section, definition.schema, path));
+      }
+
+      if (definition.validate) {
+        const problems = definition.validate(section, this, data) || [];
+        problems.forEach((problem) => {
+          if (typeof problem === "string") {
+            errors.push({ path, message: problem });
+          } else if (problem && typeof problem.message === "string") {
+            errors.push({ path: this.joinPath(path, problem.path), message: problem.message });
+          }
+        });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Build the schema for the top-level data.json structure
+   *
+   * Type-specific section fields are checked separately against each registered type's schema.
+   * @returns {Object} JSON Schema object
+   */
+  getDataSchema() {
+    const iconSchema = {
+      type: ["string", "object"],
+      minLength: 1,
+      required: ["icon"],
+      properties: {
+        icon: { type: "string", minLength: 1 },
+        variant: { type: "string", minLength: 1 },
+        label: { type: "string", minLength: 1 },
+        level: { type: "integer", minimum: 1, maximum: this.config.skillLevels },
+      },
+    };
+
+    return {
+      type: "object",
+      required: ["sections"],
+      properties: {
+        sections: {
+          type: "array",
+          minItems: 1,
+          items: {
+            type: "object",
+            required: ["section", "title", "type"],
+            properties: {
+              section: { type: "string", pattern: "^[A-Za-z][\\w-]*$" },
+              title: { type: "string", minLength: 1 },
+              type: { type: "string", enum: this.getSectionTypes() },
+              // Places the section (see mergeDataSources)
+              order: { type: "number" },
+            },
+          },
+        },
+        locales: {
+          type: "object",
+          additionalProperties: { type: "string", minLength: 1 },
+        },
+        icons: {
+          type: "object",
+          // Each group is either a plain list of icons or { title, items }
+          additionalProperties: {
+            type: ["array", "object"],
+            items: iconSchema,
+            required: ["items"],
+            properties: {
+              title: { type: "string", minLength: 1 },
+              items: { type: "array", items: iconSchema },
+            },
+          },
+        },
+        meta: {
+          type: "object",
+          properties: {
+            name: { type: "string", minLength: 1 },
+            title: { type: "string", minLength: 1 },
+            jobTitle: { type: "string", minLength: 1 },
+            description: { type: "string", minLength: 1 },
+            url: { type: "string", minLength: 1 },
+            image: { type: "string", minLength: 1 },
+            email: { type: "string", minLength: 1 },
+            locale: { type: "string", pattern: "^[a-z]{2}_[A-Z]{2}$" },
+            twitter: { type: "string", pattern: "^@\\w+$" },
+            sameAs: { type: "array", items: { type: "string", minLength: 1 } },
+            sections: {
+              type: "object",
+              additionalProperties: { type: "string", minLength: 1 },
+            },
+          },
+        },
+        ext: {
+          type: "object",
+          additionalProperties: {
+            type: "object",
+            required: ["icon", "link"],
+            properties: {
+              icon: { type: "string", minLength: 1 },
+              link: { type: "string", minLength: 1 },
+            },
+          },
+        },
+      },
+    };
+  }
+
+  /**
+   * Validate a value against a JSON Schema, collecting every error instead of stopping at the first
+   *
+   * Supports the subset of JSON Schema used by the portfolio data: `type`, `enum`, `required`,
+   * `properties`, `additionalProperties`, `items`, `minItems`, `minLength`, `pattern`, `minimum`
+   * and `maximum`.
+   * @param {*} value - Value to validate
+   * @param {Object} schema - JSON Schema object
+   * @param {string} [path=""] - JSON path of the value, used as a prefix in error reports
+   * @returns {Array<{path: string, message: string}>} Errors found
+   */
+  validateSchema(value, schema, path = "") {
+    const errors = [];
+    const fail = (message, at = path) => errors.push({ path: at, message });
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const actual = this.getSchemaType(value);
+      const matches = types.some((type) => type === actual || (type === "number" && actual === "integer"));
+
+      if (!matches) {
+        fail(`expected ${types.join(" or ")} but got ${actual}`);
+        return errors;
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      fail(`must be one of: ${schema.enum.join(", ")} (got ${JSON.stringify(value)})`);
+    }
+
+    if (typeof value === "string") {
+      if (typeof schema.minLength === "number" && value.trim().length < schema.minLength) {
+        fail(schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+      }
+
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        fail(`must match pattern ${schema.pattern}`);
+      }
+    }
+
+    if (typeof value === "number") {
+      if (typeof schema.minimum === "number" && value < schema.minimum) {
+        fail(`must be at least ${schema.minimum}`);
+      }
+
+      if (typeof schema.maximum === "number" && value > schema.maximum) {
+        fail(`must be at most ${schema.maximum}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (typeof schema.minItems === "number" && value.length < schema.minItems) {
+        fail(`must contain at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}`);
+      }
+
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(...this.validateSchema(item, schema.items, `${path}[${index}]`));
+        });
+      }
+    } else if (value && typeof value === "object") {
+      const properties = schema.properties || {};
+
+      (schema.required || []).forEach((key) => {
+        if (value[key] === undefined || value[key] === null) {
+          fail(`missing required property "${key}"`);
+        }
+      });
+
+      Object.entries(value).forEach(([key, child]) => {
+        const childPath = this.joinPath(path, key);
+
+        if (properties[key]) {
+          if (child !== undefined && child !== null) {
+            errors.push(...this.validateSchema(child, properties[key], childPath));
+          }
+        } else if (schema.additionalProperties === false) {
+          fail("unexpected property", childPath);
+        } else if (typeof schema.additionalProperties === "object") {
+          errors.push(...this.validateSchema(child, schema.additionalProperties, childPath));
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get the JSON Schema type name of a value
+   * @param {*} value - Value to inspect
+   * @returns {string} One of null, array, integer, number, string, boolean, object or undefined
+   * @private
+   */
+  getSchemaType(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+  }
+
+  /**
+   * Append a property name or relative path to a JSON path
+   * @param {string} base - Base path (e.g. "sections[3]")
+   * @param {string} [segment] - Property name or relative path (e.g. "body[1].header")
+   * @returns {string} Joined path
+   * @private
+   */
+  joinPath(base, segment) {
+    if (segment === undefined || segment === null || segment === "") return base;
+
+    const part = String(segment);
+    if (part.startsWith("[")) return `${base}${part}`;
+    if (!/^[A-Za-z_$][\w$]*(?:[.[].*)?$/.test(part)) return `${base}[${JSON.stringify(part)}]`;
+    return base ? `${base}.${part}` : part;
+  }
+
+  // === PAGE BUILDING ===
+
+  /**
+   * Build the entire page with comprehensive error handling
+   * @param {Object} [options] - Build options
+   * @param {boolean} [options.hydrate=false] - Attach behaviour to pre-rendered markup instead of building it
+   * @returns {Promise<void>}
+   * @throws {Error} If page building fails
+   */
+  async buildPage(options = {}) {
+    if (!this.data) {
+      throw new Error("No data available for building page");
+    }
+
+    const { hydrate = false } = options;
+    this.log(hydrate ? "Hydrating pre-rendered page..." : "Building page...");
+
+    try {
+      // Steps marked `render` only create markup, which pre-rendered pages already have
+      const buildSteps = [
+        { name: "navigation", fn: () => this.buildNavigation(), render: true },
+        { name: "sections", fn: () => (hydrate ? this.hydrateSections() : this.buildSections()) },
+        { name: "cache refresh", fn: () => this.refreshCache() },
+        { name: "external links", fn: () => this.buildExternalLinks(), render: true },
+        { name: "metadata", fn: () => this.buildMetadata() },
+        { name: "locale switcher", fn: () => this.buildLocaleSwitcher() },
+        { name: "offline indicator", fn: () => this.setupOfflineIndicator() },
+        { name: "scroll spy", fn: () => this.setupScrollSpy() },
+        { name: "mobile navigation", fn: () => this.setupMobileNavigation() },
+        { name: "hash routing", fn: () => this.setupHashRouting() },
+      ];
+
+      for (const step of buildSteps) {
+        if (hydrate && step.render) continue;
+
+        try {
+          this.log(`Building ${step.name}...`);
+          step.fn();
+        } catch (error) {
+          this.logError(`Failed to build ${step.name}`, error);
+          // Continue with other steps even if one fails
+        }
+      }
+
+      this.log("Page building complete");
+    } catch (error) {
+      this.logError("Critical error during page building", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take over content pre-rendered by scripts/prerender.js, if it matches the loaded data
+   *
+   * The pre-render stamps `config.selectors.content` with `data-prerendered` (see
+   * {@link PortfolioController#getRenderStamp}). Stale content, e.g. from data edited since the
+   * last pre-render or a different locale, is cleared so the page is built from scratch.
+   * @returns {boolean} Whether the page should be hydrated rather than built
+   */
+  claimPrerenderedContent() {
+    const { content } = this.dom;
+    const stamp = content ? content.getAttribute("data-prerendered") : null;
+    if (stamp === null) return false;
+
+    // A later refresh() always rebuilds
+    content.removeAttribute("data-prerendered");
+
+    if (stamp === this.getRenderStamp()) {
+      this.log("Found pre-rendered content");
+      return true;
+    }
+
+    this.log("Pre-rendered content is out of date, rebuilding");
+    this.clearContent();
+    return false;
+  }
+
+  /**
+   * Get a stamp identifying the page the current data and locale render to
+   *
+   * Includes the current month, since the tenure of ongoing timeline roles is counted up to it;
+   * content pre-rendered in an earlier month is rebuilt.
+   * @returns {string} Locale, month and a hash of the data (e.g. "en-2025-06-1a2b3c4d")
+   */
+  getRenderStamp() {
+    // 32-bit FNV-1a; only needs to notice changes, not resist tampering
+    const json = JSON.stringify(this.data);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < json.length; i++) {
+      hash ^= json.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    const current = this.getCurrentMonth();
+    const month = `${Math.floor(current / 12)}-${String((current % 12) + 1).padStart(2, "0")}`;
+
+    return `${this.locale || this.defaultLocale}-${month}-${(hash >>> 0).toString(16).padStart(8, "0")}`;
+  }
+
+  /**
+   * Build navigation links with validation
+   */
+  buildNavigation() {
+    if (!this.data?.sections || !Array.isArray(this.data.sections)) {
+      this.log("No sections data available for navigation");
+      return;
+    }
+
+    if (!this.dom.linklist) {
+      this.log("Navigation container not found");
+      return;
+    }
+
+    this.log(`Building navigation with ${this.data.sections.length} items...`);
+
+    let successCount = 0;
+    let errorCount = 0;
+
+    this.data.sections.forEach((section, index) => {
+      try {
+        // Validate section data
+        if (!section?.section || !section?.title) {
+          throw new Error(`Invalid section data at index ${index}`);
+        }
+
+        // Create the li element and use scope to add the a child
+        const listItem = new this.Builder("li", {
+          class: this.config.classes.navItem,
+        }).scope((listItem) => {
+          listItem.addChild("a", {
+            class: this.config.classes.navLink,
+            href: `#${section.section}-section`,
+            innerText: section.title,
+            "data-text": section.title,
+          });
+        });
+
+        // Append the li element to the ul container
+        listItem.appendTo(this.dom.linklist);
+        successCount++;
+      } catch (error) {
+        this.logError(`Failed to build nav link for section ${index} (${section?.section || "unknown"})`, error);
+        errorCount++;
+      }
+    });
+
+    this.log(`Navigation building complete: ${successCount} success, ${errorCount} errors`);
+  }
+
+  /**
+   * Build content sections with validation and error handling
+   */
+  buildSections() {
+    if (!this.data?.sections || !Array.isArray(this.data.sections)) {
+      this.log("No sections data available");
+      return;
+    }
+
+    if (!this.dom.content) {
+      this.log("Content container not found");
+      return;
+    }
+
+    this.log(`Building ${this.data.sections.length} content sections...`);
+    this.itemIds.clear();
+
+    let successCount = 0;
+    let errorCount = 0;
+
+    this.data.sections.forEach((section, index) => {
+      try {
+        // Validate section data
+        if (!section || typeof section !== "object") {
+          throw new Error(`Section ${index} is not an object`);
+        }
+
+        if (!section.type) {
+          throw new Error(`Section ${index} missing type`);
+        }
+
+        const definition = this.sectionTypes.get(section.type);
+
+        if (!definition) {
+          throw new Error(`Unknown section type: ${section.type}. Registered types: ${this.getSectionTypes().join(", ")}`);
+        }
+
+        definition.build.call(this, section, this);
+        successCount++;
+        this.log(`Built section: ${section.section} (${section.type})`);
+      } catch (error) {
+        this.logError(`Failed to build section ${index} (${section?.section || "unknown"})`, error);
+        errorCount++;
+      }
+    });
+
+    this.log(`Section building complete: ${successCount} success, ${errorCount} errors`);
+  }
+
+  /**
+   * Attach behaviour to pre-rendered content sections using their type's `hydrate` function
+   */
+  hydrateSections() {
+    if (!this.data?.sections || !Array.isArray(this.data.sections)) return;
+
+    this.data.sections.forEach((section, index) => {
+      try {
+        const definition = this.sectionTypes.get(section.type);
+        if (definition && definition.hydrate) {
+          definition.hydrate.call(this, section, this);
+          this.log(`Hydrated section: ${section.section} (${section.type})`);
+        }
+      } catch (error) {
+        this.logError(`Failed to hydrate section ${index} (${section?.section || "unknown"})`, error);
+      }
+    });
+  }
+
+  /**
+   * Build external links
+   */
+  buildExternalLinks() {
+    if (!this.data.ext || !this.dom.extIcons) return;
+
+    this.log("Building external links...");
+
+    Object.entries(this.data.ext).forEach(([key, entry]) => {
+      if (!entry.link || !entry.icon) {
+        this.log(`Invalid external link data for ${key}`);
+        return;
+      }
+
+      try {
+        // Create the complete link structure
+        const linkElement = new this.Builder("a", {
+          class: this.config.classes.bounce,
+          href: entry.link,
+          target: "_blank",
+          rel: "noopener noreferrer",
+          "aria-label": `Visit ${key}`,
+        }).scope((icon) => {
+          icon.addChild("i", {
+            class: `devicon-${entry.icon}`,
+            "aria-hidden": "true",
+          });
+        });
+
+        // Append the complete link to the container
+        linkElement.appendTo(this.dom.extIcons);
+      } catch (error) {
+        this.logError(`Failed to build external link for ${key}`, error);
+      }
+    });
+  }
+
+  /**
+   * Build the header language switcher from the available locales
+   *
+   * The switcher stays hidden unless the data offers more than one locale.
+   */
+  buildLocaleSwitcher() {
+    const { localeSwitcher, localeSelect } = this.dom;
+    if (!localeSwitcher || !localeSelect) return;
+
+    const locales = this.getAvailableLocales();
+    const codes = Object.keys(locales);
+
+    localeSwitcher.classList.toggle("hidden", codes.length < 2);
+    if (codes.length < 2) return;
+
+    this.log(`Building locale switcher with ${codes.length} locales...`);
+    // Pre-rendered pages already have the options
+    localeSelect.innerHTML = "";
+
+    codes.forEach((code) => {
+      new this.Builder("option", {
+        value: code,
+        lang: code,
+        innerText: locales[code],
+      }).appendTo(localeSelect);
+    });
+
+    localeSelect.value = this.locale;
+    // Same handler reference, so rebuilding on refresh doesn't stack listeners
+    localeSelect.addEventListener("change", this.handleLocaleChange);
+  }
+
+  /**
+   * Highlight the navigation link of the section currently in view
+   *
+   * A section is current while it crosses the band of the viewport given by `config.scrollSpyMargin`.
+   * Does nothing where IntersectionObserver is unavailable.
+   */
+  setupScrollSpy() {
+    this.teardownScrollSpy();
+
+    if (typeof IntersectionObserver === "undefined" || !this.dom.content) {
+      this.log("Scroll spy unavailable");
+      return;
+    }
+
+    const sections = Array.from(this.dom.content.children).filter((element) => element.id);
+    if (sections.length === 0) return;
+
+    this.scrollSpy = new IntersectionObserver(
+      (entries) => {
+        entries.filter((entry) => entry.isIntersecting).forEach((entry) => this.setActiveSection(entry.target.id));
+      },
+      { rootMargin: this.config.scrollSpyMargin }
+    );
+
+    sections.forEach((section) => this.scrollSpy.observe(section));
+    this.log(`Scroll spy observing ${sections.length} sections`);
+  }
+
+  /**
+   * Stop the scroll spy and clear the active navigation link
+   */
+  teardownScrollSpy() {
+    if (this.scrollSpy) {
+      this.scrollSpy.disconnect();
+      this.scrollSpy = null;
+      this.log("Scroll spy stopped");
+    }
+
+    if (this.dom.linklist) {
+      this.dom.linklist.querySelectorAll("[aria-current]").forEach((link) => {
+        link.classList.remove(this.config.classes.active);
+        link.removeAttribute("aria-current");
+      });
+    }
+  }
+
+  /**
+   * Mark the navigation link for a section as current and reflect it in the URL hash
+   *
+   * The hash is updated with `history.replaceState` so the page doesn't jump or add history entries.
+   * @param {string} sectionId - Element id of the section (e.g. "about-section")
+   */
+  setActiveSection(sectionId) {
+    if (!this.dom.linklist) return;
+
+    const { active } = this.config.classes;
+    const target = `#${sectionId}`;
+
+    this.dom.linklist.querySelectorAll("a[href^='#']").forEach((link) => {
+      const isCurrent = link.getAttribute("href") === target;
+      link.classList.toggle(active, isCurrent);
+
+      if (isCurrent) {
+        link.setAttribute("aria-current", "location");
+      } else {
+        link.removeAttribute("aria-current");
+      }
+    });
+
+    // Keep a deep link to something inside the current section (e.g. a list item)
+    const linked = this.getHashTarget();
+    const section = document.getElementById(sectionId);
+    if (linked && section && section !== linked && section.contains(linked)) return;
+
+    if (window.location.hash !== target && window.history && window.history.replaceState) {
+      window.history.replaceState(window.history.state, "", target);
+    }
+  }
+
+  // === DEEP LINKING ===
+
+  /**
+   * Turn text into a URL-friendly slug
+   * @param {string} text - Text to slugify
+   * @returns {string} Lowercase ASCII slug such as "programmer-analyst"
+   */
+  slugify(text) {
+    return String(text)
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+  }
+
+  /**
+   * Get a stable, page-unique element id for a list item
+   *
+   * Uses the item's `id` from data.json when present, otherwise a slug of its header and
+   * subheader prefixed with the section id. Repeats get a numeric suffix ("-2", "-3", ...).
+   * @param {Object} section - Section data
+   * @param {Object} item - List item data
+   * @returns {string} Element id (e.g. "experience-university-of-tennessee-at-martin-programmer-analyst")
+   */
+  getItemId(section, item) {
+    const slug = item.id || this.slugify([item.header, item.subheader].filter(Boolean).join(" ")) || "item";
+    const base = `${section.section}-${slug}`;
+
+    let id = base;
+    for (let n = 2; this.itemIds.has(id) || id === `${section.section}-section`; n++) {
+      id = `${base}-${n}`;
+    }
+
+    this.itemIds.add(id);
+    return id;
+  }
+
+  /**
+   * Add the standard section header with its title and copy-link button
+   *
+   * Built-in section builders use this; custom section types can too.
+   * @param {Object} div - Builder for the section element
+   * @param {Object} section - Section data
+   */
+  addSectionHeader(div, section) {
+    const sectionId = `${section.section}-section`;
+
+    div.addChild(
+      "div",
+      {
+        class: "section-header",
+      },
+      (header) => {
+        header.addChild("h2", {
+          class: "section-title",
+          innerText: section.title,
+        });
+        header.addChild("button", {
+          type: "button",
+          class: this.config.classes.sectionLinkButton,
+          "data-target": sectionId,
+          "aria-label": `Copy link to ${section.title}`,
+          title: "Copy link",
+          innerText: "#",
+        });
+      }
+    );
+  }
+
+  /**
+   * Route the URL hash once the page is built and whenever it changes
+   *
+   * Content is built after data loads, so the browser's own jump to the hash target has
+   * already failed by then; this scrolls to it instead.
+   */
+  setupHashRouting() {
+    // Same handler references, so rebuilding on refresh doesn't stack listeners
+    window.addEventListener("hashchange", this.handleHashChange);
+    if (this.dom.content) {
+      this.dom.content.addEventListener("click", this.handleSectionLinkClick);
+    }
+
+    this.scrollToHash();
+  }
+
+  /**
+   * Get the element the URL hash points to
+   * @returns {HTMLElement|null}
+   */
+  getHashTarget() {
+    const hash = window.location.hash.slice(1);
+    let id;
+    try {
+      id = decodeURIComponent(hash);
+    } catch (error) {
+      // Malformed escapes like "#100%" can still be a literal id
+      id = hash;
+    }
+    return id ? document.getElementById(id) : null;
+  }
+
+  /**
+   * Handle hash changes from links or the address bar
+   */
+  handleHashChange() {
+    this.scrollToHash();
+  }
+
+  /**
+   * Scroll to and highlight the element the URL hash points to
+   * @returns {boolean} Whether a target was found
+   */
+  scrollToHash() {
+    const target = this.getHashTarget();
+    if (!target || !this.dom.content || !this.dom.content.contains(target)) {
+      return false;
+    }
+
+    const reduceMotion = window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+    if (typeof target.scrollIntoView === "function") {
+      target.scrollIntoView({ behavior: reduceMotion ? "auto" : "smooth", block: "start" });
+    }
+
+    this.highlightElement(target);
+    this.log(`Scrolled to #${target.id}`);
+    return true;
+  }
+
+  /**
+   * Briefly highlight an element
+   * @param {HTMLElement} element - Element to highlight
+   */
+  highlightElement(element) {
+    const { targeted } = this.config.classes;
+
+    element.classList.remove(targeted);
+    // Force a reflow so re-adding the class restarts the animation
+    void element.offsetWidth;
+    element.classList.add(targeted);
+
+    setTimeout(() => element.classList.remove(targeted), this.config.targetHighlightDuration);
+  }
+
+  /**
+   * Copy a section's link when its copy-link button is clicked
+   * @param {MouseEvent} event - Click event within the content container
+   */
+  handleSectionLinkClick(event) {
+    const button = event.target.closest && event.target.closest(`.${this.config.classes.sectionLinkButton}`);
+    if (!button) return;
+
+    const url = new URL(window.location.href);
+    url.hash = button.getAttribute("data-target");
+
+    this.copyToClipboard(url.toString())
+      .then(() => this.showButtonFeedback(button, "Copied!"))
+      .catch((error) => {
+        this.logError("Failed to copy section link", error);
+        this.showButtonFeedback(button, "Copy failed");
+      });
+  }
+
+  /**
+   * Copy text to the clipboard
+   * @param {string} text - Text to copy
+   * @returns {Promise<void>}
+   * @throws {Error} If the clipboard is unavailable
+   */
+  async copyToClipboard(text) {
+    if (typeof navigator !== "undefined" && navigator.clipboard && navigator.clipboard.writeText) {
+      await navigator.clipboard.writeText(text);
+      return;
+    }
+
+    throw new Error("Clipboard API unavailable");
+  }
+
+  /**
+   * Temporarily swap a button's tooltip and label to confirm an action
+   * @param {HTMLElement} button - Button to update
+   * @param {string} message - Feedback message
+   */
+  showButtonFeedback(button, message) {
+    const label = button.getAttribute("aria-label");
+    button.setAttribute("title", message);
+    button.setAttribute("aria-label", message);
+    button.classList.add(this.config.classes.active);
+
+    setTimeout(() => {
+      button.setAttribute("title", "Copy link");
+      button.setAttribute("aria-label", label);
+      button.classList.remove(this.config.classes.active);
+    }, this.config.targetHighlightDuration);
+  }
+
+  // === MOBILE NAVIGATION ===
+
+  /**
+   * Collapse the navigation into a toggleable menu below `mobileBreakpoint`
+   *
+   * Uses matchMedia so the menu switches modes as the viewport crosses the breakpoint.
+   */
+  setupMobileNavigation() {
+    const { navigation, navToggle } = this.dom;
+    if (!navigation || !navToggle || !window.matchMedia) {
+      this.log("Mobile navigation unavailable");
+      return;
+    }
+
+    if (!this.mobileQuery) {
+      this.mobileQuery = window.matchMedia(`(max-width: ${this.mobileBreakpoint - 1}px)`);
+      this.mobileQuery.addEventListener("change", this.handleMobileChange);
+    }
+
+    // Same handler references, so rebuilding on refresh doesn't stack listeners
+    navToggle.addEventListener("click", this.toggleMobileMenu);
+    navigation.addEventListener("click", this.handleMenuClick);
+
+    this.handleMobileChange(this.mobileQuery);
+  }
+
+  /**
+   * Switch between the inline and collapsed navigation
+   * @param {MediaQueryList|MediaQueryListEvent} query - Mobile breakpoint query
+   */
+  handleMobileChange(query) {
+    const { navigation, navToggle } = this.dom;
+    if (!navigation || !navToggle) return;
+
+    this.log(`Navigation mode: ${query.matches ? "mobile" : "desktop"}`);
+    this.closeMobileMenu(false);
+    navigation.classList.toggle(this.config.classes.navMobile, query.matches);
+    navToggle.hidden = !query.matches;
+  }
+
+  /**
+   * Check whether the collapsed menu is open
+   * @returns {boolean}
+   */
+  isMobileMenuOpen() {
+    return Boolean(this.dom.navigation && this.dom.navigation.classList.contains(this.config.classes.navOpen));
+  }
+
+  /**
+   * Open or close the collapsed menu
+   */
+  toggleMobileMenu() {
+    if (this.isMobileMenuOpen()) {
+      this.closeMobileMenu();
+    } else {
+      this.openMobileMenu();
+    }
+  }
+
+  /**
+   * Open the collapsed menu and move focus into it
+   */
+  openMobileMenu() {
+    const { navigation, navToggle } = this.dom;
+    if (!navigation || !navToggle || this.isMobileMenuOpen()) return;
+
+    this.menuReturnFocus = document.activeElement;
+    navigation.classList.add(this.config.classes.navOpen);
+    navToggle.setAttribute("aria-expanded", "true");
+    navToggle.setAttribute("aria-label", "Close menu");
+
+    document.addEventListener("keydown", this.handleMenuKeydown);
+    document.addEventListener("click", this.handleOutsideClick);
+
+    const firstLink = this.getMenuFocusables()[1];
+    if (firstLink) firstLink.focus();
+    this.log("Mobile menu opened");
+  }
+
+  /**
+   * Close the collapsed menu
+   * @param {boolean} [restoreFocus=true] - Return focus to where it was before the menu opened
+   */
+  closeMobileMenu(restoreFocus = true) {
+    const { navigation, navToggle } = this.dom;
+
+    document.removeEventListener("keydown", this.handleMenuKeydown);
+    document.removeEventListener("click", this.handleOutsideClick);
+
+    if (!navigation || !navToggle || !this.isMobileMenuOpen()) return;
+
+    navigation.classList.remove(this.config.classes.navOpen);
+    navToggle.setAttribute("aria-expanded", "false");
+    navToggle.setAttribute("aria-label", "Open menu");
+
+    if (restoreFocus && this.menuReturnFocus && typeof this.menuReturnFocus.focus === "function") {
+      this.menuReturnFocus.focus();
+    }
+    this.menuReturnFocus = null;
+    this.log("Mobile menu closed");
+  }
+
+  /**
+   * Get the focusable elements of the open menu: the toggle followed by the links
+   * @returns {HTMLElement[]}
+   * @private
+   */
+  getMenuFocusables() {
+    const links = this.dom.linklist ? Array.from(this.dom.linklist.querySelectorAll("a[href]")) : [];
+    return [this.dom.navToggle, ...links].filter(Boolean);
+  }
+
+  /**
+   * Close the menu on Escape and keep Tab focus inside it
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  handleMenuKeydown(event) {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      this.closeMobileMenu();
+      return;
+    }
+
+    if (event.key !== "Tab") return;
+
+    const focusables = this.getMenuFocusables();
+    if (focusables.length === 0) return;
+
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
+    const inside = focusables.includes(document.activeElement);
+
+    if (event.shiftKey && (document.activeElement === first || !inside)) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && (document.activeElement === last || !inside)) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Close the menu once a link in it is followed
+   * @param {MouseEvent} event - Click event within the navigation
+   */
+  handleMenuClick(event) {
+    if (this.isMobileMenuOpen() && event.target.closest && event.target.closest("a[href]")) {
+      this.closeMobileMenu(false);
+    }
+  }
+
+  /**
+   * Close the menu when clicking outside the navigation
+   * @param {MouseEvent} event - Document click event
+   */
+  handleOutsideClick(event) {
+    if (this.dom.navigation && !this.dom.navigation.contains(event.target)) {
+      this.closeMobileMenu(false);
+    }
+  }
+
+  /**
+   * Show the offline indicator now and whenever connectivity changes
+   */
+  setupOfflineIndicator() {
+    if (!this.dom.offlineIndicator) return;
+
+    // Same handler reference, so rebuilding on refresh doesn't stack listeners
+    window.addEventListener("online", this.updateOfflineIndicator);
+    window.addEventListener("offline", this.updateOfflineIndicator);
+    this.updateOfflineIndicator();
+  }
+
+  /**
+   * Update the offline indicator with connectivity and the age of the cached data
+   */
+  updateOfflineIndicator() {
+    const indicator = this.dom.offlineIndicator;
+    if (!indicator) return;
+
+    const offline = typeof navigator !== "undefined" && navigator.onLine === false;
+    indicator.classList.toggle("hidden", !offline);
+
+    if (!offline) {
+      indicator.textContent = "";
+      return;
+    }
+
+    const cachedAt = this.dataCachedAt && !isNaN(this.dataCachedAt) ? this.dataCachedAt : null;
+    indicator.textContent = cachedAt
+      ? `Offline \u2014 showing content last updated ${cachedAt.toLocaleString(this.locale || undefined)}`
+      : "Offline \u2014 showing saved content";
+    this.log(`Offline indicator shown (cached at: ${cachedAt || "unknown"})`);
+  }
+
+  /**
+   * Normalize an icon group from data.icons
+   *
+   * Groups may be a plain array of icon names or `{ title, items }`, and items may be icon
+   * names or `{ icon, variant, label, level }` objects.
+   * @param {string} key - Group key in data.icons
+   * @param {Array|Object} group - Group data
+   * @returns {{key: string, title: string, items: Array<{icon: string, variant: string, label: string, level: ?number}>}}
+   */
+  normalizeIconGroup(key, group) {
+    const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+    const items = Array.isArray(group) ? group : (group && group.items) || [];
+
+    return {
+      key,
+      title: (group && group.title) || capitalize(key),
+      items: items
+        .map((item) => (typeof item === "string" ? { icon: item } : item))
+        .filter((item) => item && typeof item.icon === "string" && item.icon)
+        .map((item) => ({
+          icon: item.icon,
+          variant: item.variant || "plain",
+          label: item.label || capitalize(item.icon),
+          level: Number.isInteger(item.level) ? item.level : null,
+        })),
+    };
+  }
+
+  /**
+   * Build a set of icons
+   * @param {Array<Object>} icons - Normalized icon items (see {@link PortfolioController#normalizeIconGroup})
+   * @param {Object} list - Builder for the list element the icons are added to
+   */
+  buildIconSet(icons, list) {
+    const maxLevel = this.config.skillLevels;
+
+    icons.forEach((icon) => {
+      try {
+        list.addChild("li", {}, (item) => {
+          item.addChild("span", {}, (span) => {
+            span.addChild("i", {
+              class: `devicon-${icon.icon}-${icon.variant}`,
+              title: icon.label,
+              "aria-hidden": "true",
+            });
+            span.addChild("span", {
+              class: "icon-label",
+              innerText: icon.label,
+            });
+
+            if (icon.level !== null) {
+              span.addChild(
+                "span",
+                {
+                  class: this.config.classes.skillLevel,
+                  role: "img",
+                  "aria-label": `Proficiency: ${icon.level} of ${maxLevel}`,
+                  title: `${icon.level}/${maxLevel}`,
+                },
+                (level) => {
+                  for (let step = 1; step <= maxLevel; step++) {
+                    level.addChild("span", {
+                      class: step <= icon.level ? "skill-level-step filled" : "skill-level-step",
+                    });
+                  }
+                }
+              );
+            }
+          });
+        });
+      } catch (error) {
+        this.logError(`Failed to build icon for ${icon.icon}`, error);
+      }
+    });
+  }
+
+  // === SECTION BUILDERS ===
+
+  /**
+   * Build paragraph section
+   *
+   * `body` is rich text (see {@link PortfolioController#sanitizeHTML}) in a `<div>`, so it can hold
+   * its own paragraphs, lists and quotes.
+   * @param {Object} section - Section data
+   */
+  buildPgSection(section) {
+    this.log(`Building paragraph section: ${section.section}`);
+
+    const sectionBuilder = new this.Builder("div", {
+      id: `${section.section}-section`,
+      class: this.config.classes.section,
+    }).scope((div) => {
+      // Section header
+      this.addSectionHeader(div, section);
+
+      // Section body
+      div.addChild(
+        "div",
+        {
+          class: "section-body section-body-paragraph",
+        },
+        (body) => {
+          body.addChild("div", {
+            class: "section-paragraph",
+            innerHTML: this.sanitizeHTML(section.body),
+          });
+        }
+      );
+    });
+
+    sectionBuilder.appendTo(this.dom.content);
+  }
+
+  /**
+   * Build list section
+   * @param {Object} section - Section data
+   */
+  buildLsSection(section) {
+    if (section.layout === "timeline") {
+      this.buildTimelineSection(section);
+      return;
+    }
+
+    this.log(`Building list section: ${section.section}`);
+
+    const sectionBuilder = new this.Builder("div", {
+      id: `${section.section}-section`,
+      class: this.config.classes.section,
+    }).scope((div) => {
+      // Section header
+      this.addSectionHeader(div, section);
+
+      // Section body
+      div.addChild(
+        "div",
+        {
+          class: "section-body section-body-list",
+        },
+        (body) => {
+          body.addChild(
+            "ul",
+            {
+              class: this.config.classes.sectionBodyList,
+            },
+            (listBuilder) => {
+              // Build list items using scoped building
+              section.body.forEach((item) => {
+                listBuilder.addChild(
+                  "li",
+                  {
+                    id: this.getItemId(section, item),
+                    class: this.config.classes.sectionListItem,
+                  },
+                  (itemBuilder) => {
+                    // Add item elements conditionally
+                    if (item.header) {
+                      itemBuilder.addChild("div", {
+                        class: this.config.classes.listItemHeader,
+                        innerText: item.header,
+                      });
+                    }
+
+                    if (item.subheader) {
+                      itemBuilder.addChild("div", {
+                        class: this.config.classes.listItemSubheader,
+                        innerText: item.subheader,
+                      });
+                    }
+
+                    const dates = item.subsubheader || this.formatDateRange(item);
+                    if (dates) {
+                      itemBuilder.addChild("div", {
+                        class: this.config.classes.listItemSubsubheader,
+                        innerText: dates,
+                      });
+                    }
+
+                    if (item.main) {
+                      itemBuilder.addChild("div", {
+                        class: this.config.classes.listItemMain,
+                        innerHTML: this.sanitizeHTML(item.main),
+                      });
+                    }
+                  }
+                );
+              });
+            }
+          );
+        }
+      );
+    });
+
+    sectionBuilder.appendTo(this.dom.content);
+  }
+
+  /**
+   * Build a list section as a vertical timeline (`layout: "timeline"`)
+   *
+   * Items are sorted by their `start`/`end` dates (newest first unless `itemOrder` is "oldest") and
+   * consecutive roles at the same employer (`header`) are grouped with their combined tenure.
+   * Items without a `start` date keep their position relative to each other at the end.
+   * @param {Object} section - Section data
+   */
+  buildTimelineSection(section) {
+    this.log(`Building timeline section: ${section.section}`);
+
+    const groups = this.groupTimelineItems(this.sortTimelineItems(section.body, section.itemOrder));
+
+    const sectionBuilder = new this.Builder("div", {
+      id: `${section.section}-section`,
+      class: this.config.classes.section,
+    }).scope((div) => {
+      // Section header
+      this.addSectionHeader(div, section);
+
+      // Section body
+      div.addChild(
+        "div",
+        {
+          class: "section-body section-body-timeline",
+        },
+        (body) => {
+          body.addChild("ol", { class: this.config.classes.timeline }, (timeline) => {
+            groups.forEach((group) => {
+              timeline.addChild("li", { class: this.config.classes.timelineGroup }, (groupBuilder) => {
+                groupBuilder.addChild("span", { class: "timeline-marker", "aria-hidden": "true" });
+                groupBuilder.addChild("div", {
+                  class: this.config.classes.listItemHeader,
+                  innerText: group.header,
+                });
+
+                if (group.items.length > 1 && group.tenure) {
+                  groupBuilder.addChild("div", {
+                    class: "timeline-group-tenure",
+                    innerText: group.tenure,
+                  });
+                }
+
+                groupBuilder.addChild("ul", { class: "timeline-roles" }, (roles) => {
+                  group.items.forEach((item) => this.addTimelineRole(roles, section, item));
+                });
+              });
+            });
+          });
+        }
+      );
+    });
+
+    sectionBuilder.appendTo(this.dom.content);
+  }
+
+  /**
+   * Add a role to a timeline group
+   * @param {Object} roles - Builder for the group's role list
+   * @param {Object} section - Section data
+   * @param {Object} item - List item data
+   */
+  addTimelineRole(roles, section, item) {
+    roles.addChild(
+      "li",
+      {
+        id: this.getItemId(section, item),
+        class: `${this.config.classes.timelineRole} ${this.config.classes.sectionListItem}`,
+      },
+      (role) => {
+        if (item.subheader) {
+          role.addChild("div", {
+            class: this.config.classes.listItemSubheader,
+            innerText: item.subheader,
+          });
+        }
+
+        const start = this.parseYearMonth(item.start);
+        if (start !== null) {
+          const end = this.parseYearMonth(item.end);
+          role.addChild("div", { class: this.config.classes.listItemSubsubheader }, (dates) => {
+            dates.addChild("time", { datetime: item.start, innerText: this.formatYearMonth(start) });
+            dates.addChild("span", { innerText: " \u2013 " });
+            if (end !== null) {
+              dates.addChild("time", { datetime: item.end, innerText: this.formatYearMonth(end) });
+            } else {
+              dates.addChild("span", { innerText: "Present" });
+            }
+            dates.addChild("span", {
+              class: "timeline-tenure",
+              innerText: ` \u00b7 ${this.formatTenure(this.getTenureMonths(start, end))}`,
+            });
+          });
+        } else if (item.subsubheader) {
+          role.addChild("div", {
+            class: this.config.classes.listItemSubsubheader,
+            innerText: item.subsubheader,
+          });
+        }
+
+        if (item.main) {
+          role.addChild("div", {
+            class: this.config.classes.listItemMain,
+            innerHTML: this.sanitizeHTML(item.main),
+          });
+        }
+      }
+    );
+  }
+
+  /**
+   * Sort list items chronologically by start date, then end date (ongoing roles count as latest)
+   * @param {Array<Object>} items - List items
+   * @param {string} [order="newest"] - "newest" or "oldest" first
+   * @returns {Array<Object>} New sorted array
+   */
+  sortTimelineItems(items, order = "newest") {
+    const direction = order === "oldest" ? 1 : -1;
+    const key = (item) => {
+      const start = this.parseYearMonth(item.start);
+      const end = this.parseYearMonth(item.end);
+      return { start, end: end === null ? Infinity : end };
+    };
+
+    return items
+      .map((item, index) => ({ item, index, ...key(item) }))
+      .sort((a, b) => {
+        if (a.start === null || b.start === null) {
+          return (a.start === null) - (b.start === null) || a.index - b.index;
+        }
+        return direction * (a.start - b.start) || direction * (a.end - b.end) || a.index - b.index;
+      })
+      .map(({ item }) => item);
+  }
+
+  /**
+   * Group consecutive items with the same employer (`header`)
+   *
+   * A group's tenure counts the months covered by any of its roles: overlapping roles count once
+   * and gaps between roles not at all.
+   * @param {Array<Object>} items - Sorted list items
+   * @returns {Array<{header: string, items: Array<Object>, tenure: string}>} Groups with combined tenure
+   */
+  groupTimelineItems(items) {
+    const groups = [];
+
+    items.forEach((item) => {
+      const last = groups[groups.length - 1];
+      if (last && last.header === item.header) {
+        last.items.push(item);
+      } else {
+        groups.push({ header: item.header, items: [item], tenure: "" });
+      }
+    });
+
+    groups.forEach((group) => {
+      const spans = group.items.map((item) => {
+        const start = this.parseYearMonth(item.start);
+        const end = this.parseYearMonth(item.end);
+        return { start, end: end === null ? this.getCurrentMonth() : end };
+      });
+      if (spans.some((span) => span.start === null)) return;
+
+      let months = 0;
+      let covered = -Infinity;
+      spans
+        .sort((a, b) => a.start - b.start)
+        .forEach(({ start, end }) => {
+          months += Math.max(0, end - Math.max(start, covered));
+          covered = Math.max(covered, end);
+        });
+
+      group.tenure = this.formatTenure(Math.max(1, months));
+    });
+
+    return groups;
+  }
+
+  // === DATES ===
+
+  /**
+   * Parse a "YYYY-MM" date into a month count (year * 12 + month index)
+   * @param {string} value - Date string
+   * @returns {number|null} Month count, or null for missing, "present" or malformed values
+   */
+  parseYearMonth(value) {
+    const match = typeof value === "string" ? value.match(/^(\d{4})-(\d{2})$/) : null;
+    if (!match) return null;
+
+    const month = Number(match[2]);
+    return month >= 1 && month <= 12 ? Number(match[1]) * 12 + (month - 1) : null;
+  }
+
+  /**
+   * Format a month count as a short localized month and year (e.g. "Jul 2021")
+   * @param {number} months - Month count from {@link PortfolioController#parseYearMonth}
+   * @returns {string}
+   */
+  formatYearMonth(months) {
+    const date = new Date(Math.floor(months / 12), months % 12, 1);
+    return date.toLocaleDateString(this.locale || undefined, { month: "short", year: "numeric" });
+  }
+
+  /**
+   * Count the months between two month counts, using the current month for an open end
+   * @param {number} start - Start month count
+   * @param {number|null} end - End month count, or null for ongoing
+   * @returns {number} Whole months, at least 1
+   */
+  getTenureMonths(start, end) {
+    return Math.max(1, (end === null ? this.getCurrentMonth() : end) - start);
+  }
+
+  /**
+   * Get the current month as a month count
+   * @returns {number} Month count, as from {@link PortfolioController#parseYearMonth}
+   */
+  getCurrentMonth() {
+    const now = new Date();
+    return now.getFullYear() * 12 + now.getMonth();
+  }
+
+  /**
+   * Format a month count as tenure (e.g. "3 yrs 11 mos")
+   * @param {number} months - Number of months
+   * @returns {string}
+   */
+  formatTenure(months) {
+    const years = Math.floor(months / 12);
+    const rest = months % 12;
+    const parts = [];
+
+    if (years > 0) parts.push(`${years} ${years === 1 ? "yr" : "yrs"}`);
+    if (rest > 0) parts.push(`${rest} ${rest === 1 ? "mo" : "mos"}`);
+
+    return parts.join(" ");
+  }
+
+  /**
+   * Format an item's `start`/`end` dates as text (e.g. "Jul 2021 - Jun 2025")
+   * @param {Object} item - List item data
+   * @returns {string} Date range, or "" when the item has no start date
+   */
+  formatDateRange(item) {
+    const start = this.parseYearMonth(item.start);
+    if (start === null) return "";
+
+    const end = this.parseYearMonth(item.end);
+    return `${this.formatYearMonth(start)} - ${end === null ? "Present" : this.formatYearMonth(end)}`;
+  }
+
+  /**
+   * Build skills section from the icon groups in data.icons
+   *
+   * `section.groups` selects and orders the groups to show; by default every group is shown
+   * in the order it appears in data.icons.
+   * @param {Object} section - Section data
+   */
+  buildSkillsSection(section) {
+    this.log(`Building skills section: ${section.section}`);
+
+    const icons = this.data.icons || {};
+    const keys = Array.isArray(section.groups) ? section.groups : Object.keys(icons);
+    const groups = keys
+      .filter((key) => Object.prototype.hasOwnProperty.call(icons, key))
+      .map((key) => this.normalizeIconGroup(key, icons[key]));
+
+    const sectionBuilder = new this.Builder("div", {
+      id: `${section.section}-section`,
+      class: this.config.classes.section,
+    }).scope((div) => {
+      // Section header
+      this.addSectionHeader(div, section);
+
+      // Section body with one icon list per group
+      div.addChild(
+        "div",
+        {
+          class: "section-body section-body-skills",
+        },
+        (body) => {
+          groups.forEach((group) => {
+            body.addChild(
+              "div",
+              {
+                class: this.config.classes.skillGroup,
+                "data-group": group.key,
+              },
+              (groupBuilder) => {
+                groupBuilder.addChild("h3", {
+                  class: this.config.classes.skillGroupTitle,
+                  innerText: group.title,
+                });
+                groupBuilder.addChild(
+                  "ul",
+                  {
+                    class: `${this.config.classes.skillIconList} list-no-style-inline`,
+                    "aria-label": group.title,
+                  },
+                  (list) => this.buildIconSet(group.items, list)
+                );
+              }
+            );
+          });
+        }
+      );
+    });
+
+    sectionBuilder.appendTo(this.dom.content);
+  }
+
+  /**
+   * Build projects section as a grid of cards with tag filtering and sorting
+   *
+   * Each project in `section.body` has a `title` and optional `description`, `tags`, `repo`,
+   * `demo`, `thumbnail` and `date` ("YYYY" or "YYYY-MM", used for newest-first sorting).
+   * @param {Object} section - Section data
+   */
+  buildProjectsSection(section) {
+    this.log(`Building projects section: ${section.section}`);
+
+    const projects = section.body;
+    const tags = Array.from(new Set(projects.flatMap((project) => project.tags || []))).sort((a, b) =>
+      a.localeCompare(b)
+    );
+    const toolbarId = `${section.section}-project-toolbar`;
+    const gridId = `${section.section}-project-grid`;
+
+    const sectionBuilder = new this.Builder("div", {
+      id: `${section.section}-section`,
+      class: this.config.classes.section,
+    }).scope((div) => {
+      // Section header
+      this.addSectionHeader(div, section);
+
+      // Section body with toolbar and cards
+      div.addChild(
+        "div",
+        {
+          class: "section-body section-body-projects",
+        },
+        (body) => {
+          if (projects.length > 1) {
+            body.addChild(
+              "div",
+              {
+                id: toolbarId,
+                class: "projects-toolbar",
+              },
+              (toolbar) => {
+                if (tags.length > 0) {
+                  toolbar.addChild(
+                    "div",
+                    {
+                      class: "projects-filters",
+                      role: "group",
+                      "aria-label": "Filter projects by tag",
+                    },
+                    (filters) => {
+                      ["", ...tags].forEach((tag) => {
+                        filters.addChild("button", {
+                          type: "button",
+                          class: "btn btn-sm btn-ghost projects-filter",
+                          "data-tag": tag,
+                          "aria-pressed": tag === "" ? "true" : "false",
+                          innerText: tag || "All",
+                        });
+                      });
+                    }
+                  );
+                }
+
+                toolbar.addChild(
+                  "select",
+                  {
+                    class: "projects-sort",
+                    "aria-label": "Sort projects",
+                  },
+                  (select) => {
+                    select.addChild("option", { value: "featured", innerText: "Featured" });
+                    select.addChild("option", { value: "newest", innerText: "Newest" });
+                    select.addChild("option", { value: "title", innerText: "Title (A-Z)" });
+                  }
+                );
+              }
+            );
+          }
+
+          body.addChild(
+            "div",
+            {
+              id: gridId,
+              class: "projects-grid",
+              "aria-live": "polite",
+            },
+            (grid) => {
+              projects.forEach((project, index) => this.addProjectCard(grid, section, project, index));
+            }
+          );
+        }
+      );
+    });
+
+    sectionBuilder.appendTo(this.dom.content);
+    this.bindProjectsSection(section);
+  }
+
+  /**
+   * Attach the filter and sort listeners of a projects section
+   * @param {Object} section - Section data
+   */
+  bindProjectsSection(section) {
+    if (section.body.length < 2) return;
+
+    const toolbarId = `${section.section}-project-toolbar`;
+    const gridId = `${section.section}-project-grid`;
+
+    this.addEventListenerAfterBuild(toolbarId, "click", (event) => {
+      const button = event.target.closest(".projects-filter");
+      if (button) this.filterProjects(toolbarId, gridId, button.getAttribute("data-tag"));
+    });
+    this.addEventListenerAfterBuild(toolbarId, "change", (event) => {
+      if (event.target.matches(".projects-sort")) this.sortProjects(gridId, event.target.value);
+    });
+  }
+
+  /**
+   * Add a project card to the projects grid
+   * @param {Object} grid - Builder for the grid element
+   * @param {Object} section - Section data
+   * @param {Object} project - Project data
+   * @param {number} index - Position of the project in data.json (the "Featured" order)
+   */
+  addProjectCard(grid, section, project, index) {
+    const projectTags = project.tags || [];
+    // Links and images follow the rich text URL policy; an unsafe one is left out
+    const { protocols } = this.config.sanitizer;
+    const demo = project.demo && this.isSafeUrl(project.demo, protocols) ? project.demo : null;
+    const repo = project.repo && this.isSafeUrl(project.repo, protocols) ? project.repo : null;
+    const thumbnail =
+      project.thumbnail && this.isSafeUrl(project.thumbnail, ["http:", "https:"]) ? project.thumbnail : null;
+
+    grid.addChild(
+      "article",
+      {
+        id: this.getItemId(section, { id: project.id, header: project.title }),
+        class: `card ${this.config.classes.projectCard}`,
+        "data-index": index,
+        "data-title": project.title,
+        "data-date": project.date || "",
+        "data-tags": JSON.stringify(projectTags),
+      },
+      (card) => {
+        if (thumbnail) {
+          card.addChild("img", {
+            class: "project-thumbnail",
+            src: thumbnail,
+            alt: "",
+            loading: "lazy",
+          });
+        }
 
-        iconBuilder.appendTo(container);
-      } catch (error) {
-        this.logError(`Failed to build icon for ${icon}`, error);
+        card.addChild("div", { class: "card-header" }, (header) => {
+          header.addChild("h3", {
+            class: "card-title",
+            innerText: project.title,
+          });
+        });
+
+        card.addChild("div", { class: "card-body" }, (body) => {
+          if (project.description) {
+            // A <div>, since descriptions may hold block elements (e.g. a JSON Resume highlights list)
+            body.addChild("div", {
+              class: "project-description",
+              innerHTML: this.sanitizeHTML(project.description),
+            });
+          }
+
+          if (projectTags.length > 0) {
+            body.addChild("ul", { class: "project-tags", "aria-label": "Technologies" }, (list) => {
+              projectTags.forEach((tag) => {
+                list.addChild("li", {
+                  class: this.config.classes.projectTag,
+                  innerText: tag,
+                });
+              });
+            });
+          }
+        });
+
+        if (repo || demo) {
+          card.addChild("div", { class: "card-footer project-links" }, (footer) => {
+            if (demo) {
+              footer.addChild("a", {
+                href: demo,
+                target: "_blank",
+                rel: "noopener noreferrer",
+                class: "btn btn-sm btn-primary",
+                innerText: "Live Demo",
+              });
+            }
+
+            if (repo) {
+              footer.addChild("a", {
+                href: repo,
+                target: "_blank",
+                rel: "noopener noreferrer",
+                class: "btn btn-sm btn-secondary",
+                innerText: "Source",
+              });
+            }
+          });
+        }
       }
+    );
+  }
+
+  /**
+   * Show only the project cards carrying a tag
+   * @param {string} toolbarId - Id of the projects toolbar
+   * @param {string} gridId - Id of the projects grid
+   * @param {string} tag - Tag to show, or "" for all projects
+   */
+  filterProjects(toolbarId, gridId, tag) {
+    const toolbar = document.getElementById(toolbarId);
+    const grid = document.getElementById(gridId);
+    if (!toolbar || !grid) return;
+
+    toolbar.querySelectorAll(".projects-filter").forEach((button) => {
+      button.setAttribute("aria-pressed", String(button.getAttribute("data-tag") === tag));
+    });
+
+    let shown = 0;
+    grid.querySelectorAll(`.${this.config.classes.projectCard}`).forEach((card) => {
+      const matches = !tag || JSON.parse(card.getAttribute("data-tags") || "[]").includes(tag);
+      card.classList.toggle("hidden", !matches);
+      if (matches) shown++;
     });
+
+    this.log(`Filtered projects by "${tag || "all"}": ${shown} shown`);
   }
 
-  // === SECTION BUILDERS ===
+  /**
+   * Reorder the project cards
+   * @param {string} gridId - Id of the projects grid
+   * @param {string} order - "featured" (data.json order), "newest" or "title"
+   */
+  sortProjects(gridId, order) {
+    const grid = document.getElementById(gridId);
+    if (!grid) return;
+
+    const byIndex = (a, b) => Number(a.getAttribute("data-index")) - Number(b.getAttribute("data-index"));
+    const comparators = {
+      featured: byIndex,
+      newest: (a, b) => b.getAttribute("data-date").localeCompare(a.getAttribute("data-date")) || byIndex(a, b),
+      title: (a, b) => a.getAttribute("data-title").localeCompare(b.getAttribute("data-title")) || byIndex(a, b),
+    };
+
+    const cards = Array.from(grid.querySelectorAll(`.${this.config.classes.projectCard}`));
+    cards.sort(comparators[order] || byIndex).forEach((card) => grid.appendChild(card));
+
+    this.log(`Sorted projects by ${order}`);
+  }
 
   /**
-   * Build paragraph section
+   * Build resume section (with responsive behavior)
+   *
+   * A section offers either one `file` (with optional `downloadName`) or several `files`, each
+   * `{ file, label, downloadName }` (e.g. full and one-page versions). Element ids are scoped to the
+   * section and file so any number of resume sections and files can be previewed independently.
    * @param {Object} section - Section data
    */
-  buildPgSection(section) {
-    this.log(`Building paragraph section: ${section.section}`);
+  buildRsSection(section) {
+    this.log(`Building resume section: ${section.section}`);
+
+    const files = this.getResumeFiles(section);
+    const printId = `${section.section}-print-btn`;
+    const addPrintButton = (actions) => {
+      actions.addChild("button", {
+        innerText: "Print",
+        class: "btn btn-secondary",
+        id: printId,
+        type: "button",
+      });
+    };
 
-    const sectionBuilder = new Builder("div", {
+    const sectionBuilder = new this.Builder("div", {
       id: `${section.section}-section`,
       class: this.config.classes.section,
     }).scope((div) => {
       // Section header
-      div.addChild(
-        "div",
-        {
-          class: "section-header",
-        },
-        (header) => {
-          header.addChild("h2", {
-            class: "section-title",
-            innerText: section.title,
-          });
-        }
-      );
+      this.addSectionHeader(div, section);
 
-      // Section body
+      // Section body with buttons
       div.addChild(
         "div",
         {
-          class: "section-body section-body-paragraph",
+          class: "section-body",
         },
         (body) => {
-          body.addChild("p", {
-            innerText: section.body,
+          files.forEach((resumeFile, index) => {
+            const ids = {
+              button: `${section.section}-preview-btn-${index}`,
+              container: `${section.section}-preview-${index}`,
+            };
+
+            body.addChild("div", { class: "resume-file" }, (fileBuilder) => {
+              if (files.length > 1) {
+                fileBuilder.addChild("h3", {
+                  class: "resume-file-label",
+                  innerText: resumeFile.label,
+                });
+              }
+
+              // Button container
+              fileBuilder.addChild(
+                "div",
+                {
+                  class: "resume-actions",
+                },
+                (actions) => {
+                  // Download button
+                  actions.addChild("a", {
+                    href: resumeFile.file,
+                    innerText: "Download PDF",
+                    download: resumeFile.downloadName,
+                    class: "btn btn-primary",
+                  });
+
+                  // Preview button
+                  actions.addChild("button", {
+                    innerText: "Preview",
+                    class: "btn btn-secondary",
+                    id: ids.button,
+                    type: "button",
+                    "aria-controls": ids.container,
+                    "aria-expanded": "false",
+                  });
+
+                  // Print button (resume generated from the page data) sits with a lone file
+                  if (files.length === 1) addPrintButton(actions);
+                }
+              );
+
+              // Hidden iframe container (will be shown when preview is clicked)
+              fileBuilder.addChild("div", {
+                id: ids.container,
+                class: "resume-preview-container hidden",
+              });
+            });
           });
+
+          if (files.length > 1) {
+            body.addChild("div", { class: "resume-actions" }, addPrintButton);
+          }
         }
       );
     });
 
     sectionBuilder.appendTo(this.dom.content);
+    this.bindRsSection(section);
   }
 
   /**
-   * Build list section
+   * Attach the preview and print listeners of a resume section
    * @param {Object} section - Section data
    */
-  buildLsSection(section) {
-    this.log(`Building list section: ${section.section}`);
+  bindRsSection(section) {
+    this.getResumeFiles(section).forEach((resumeFile, index) => {
+      const ids = {
+        button: `${section.section}-preview-btn-${index}`,
+        container: `${section.section}-preview-${index}`,
+      };
+
+      this.addEventListenerAfterBuild(ids.button, "click", () => {
+        this.toggleResumePreview(resumeFile.file, { ...ids, title: resumeFile.label });
+      });
+    });
 
-    const sectionBuilder = new Builder("div", {
-      id: `${section.section}-section`,
-      class: this.config.classes.section,
-    }).scope((div) => {
-      // Section header
-      div.addChild(
-        "div",
-        {
-          class: "section-header",
-        },
-        (header) => {
-          header.addChild("h2", {
-            class: "section-title",
-            innerText: section.title,
-          });
+    this.addEventListenerAfterBuild(`${section.section}-print-btn`, "click", () => {
+      this.printResume();
+    });
+  }
+
+  /**
+   * Normalize the files offered by a resume section
+   * @param {Object} section - Section data
+   * @returns {Array<{file: string, label: string, downloadName: string}>}
+   */
+  getResumeFiles(section) {
+    const entries = Array.isArray(section.files)
+      ? section.files
+      : [{ file: section.file, downloadName: section.downloadName }];
+
+    return entries
+      .filter((entry) => entry && typeof entry.file === "string" && entry.file)
+      .map((entry) => {
+        const rawName = entry.file.split(/[?#]/)[0].split("/").pop() || "resume.pdf";
+        let fileName;
+        try {
+          fileName = decodeURIComponent(rawName);
+        } catch (error) {
+          // A stray "%" isn't an escape; keep the name as written
+          fileName = rawName;
         }
-      );
+        return {
+          file: entry.file,
+          label: entry.label || section.title,
+          downloadName: entry.downloadName || fileName,
+        };
+      });
+  }
 
-      // Section body
-      div.addChild(
-        "div",
-        {
-          class: "section-body section-body-list",
-        },
-        (body) => {
-          body.addChild(
-            "ul",
-            {
-              class: this.config.classes.sectionBodyList,
-            },
-            (listBuilder) => {
-              // Build list items using scoped building
-              section.body.forEach((item) => {
-                listBuilder.addChild(
-                  "li",
-                  {
-                    class: this.config.classes.sectionListItem,
-                  },
-                  (itemBuilder) => {
-                    // Add item elements conditionally
-                    if (item.header) {
-                      itemBuilder.addChild("div", {
-                        class: this.config.classes.listItemHeader,
-                        innerText: item.header,
-                      });
-                    }
+  // === METADATA ===
 
-                    if (item.subheader) {
-                      itemBuilder.addChild("div", {
-                        class: this.config.classes.listItemSubheader,
-                        innerText: item.subheader,
-                      });
-                    }
+  /**
+   * Update the document's meta tags and JSON-LD from `data.meta`
+   *
+   * Sets the title, meta description, Open Graph and Twitter card tags, and replaces the
+   * schema.org `Person` JSON-LD block built by {@link PortfolioController#buildPersonJsonLd}.
+   * Existing tags are updated in place so rebuilding doesn't duplicate them.
+   */
+  buildMetadata() {
+    const meta = this.data.meta || {};
+    const name = meta.name || (this.dom.profileName ? this.dom.profileName.textContent.trim() : "");
+    const title = meta.title || [name, meta.jobTitle].filter(Boolean).join(" \u2013 ");
+    const url = this.resolveMetaUrl(meta.url || window.location.href.split(/[?#]/)[0]);
+    const image = meta.image ? this.resolveMetaUrl(meta.image) : "";
+
+    if (title) document.title = title;
+
+    const tags = [
+      ["name", "description", meta.description],
+      ["property", "og:type", "profile"],
+      ["property", "og:title", title],
+      ["property", "og:description", meta.description],
+      ["property", "og:url", url],
+      ["property", "og:image", image],
+      ["property", "og:site_name", name],
+      ["property", "og:locale", meta.locale],
+      ["name", "twitter:card", image ? "summary_large_image" : "summary"],
+      ["name", "twitter:site", meta.twitter],
+      ["name", "twitter:title", title],
+      ["name", "twitter:description", meta.description],
+      ["name", "twitter:image", image],
+    ];
 
-                    if (item.subsubheader) {
-                      itemBuilder.addChild("div", {
-                        class: this.config.classes.listItemSubsubheader,
-                        innerText: item.subsubheader,
-                      });
-                    }
+    tags.forEach(([attribute, key, content]) => this.setMetaTag(attribute, key, content));
 
-                    if (item.main) {
-                      itemBuilder.addChild("div", {
-                        class: this.config.classes.listItemMain,
-                        innerHTML: item.main,
-                      });
-                    }
-                  }
-                );
-              });
-            }
-          );
-        }
-      );
+    let script = document.getElementById(this.config.jsonLdId);
+    if (!script) {
+      script = document.createElement("script");
+      script.id = this.config.jsonLdId;
+      script.type = "application/ld+json";
+      document.head.appendChild(script);
+    }
+
+    // Escape "<" so section text can't close the script element
+    script.textContent = JSON.stringify(this.buildPersonJsonLd(), null, 2).replace(/</g, "\\u003c");
+
+    this.log(`Metadata updated${meta.description ? "" : " (no meta.description in data)"}`);
+  }
+
+  /**
+   * Create, update or remove a `<meta>` tag in the document head
+   * @param {string} attribute - Attribute naming the tag, `name` or `property`
+   * @param {string} key - Value of that attribute, e.g. "og:title"
+   * @param {string} [content] - Tag content; the tag is removed when empty
+   */
+  setMetaTag(attribute, key, content) {
+    let tag = document.head.querySelector(`meta[${attribute}="${key}"]`);
+
+    if (!content) {
+      if (tag) tag.remove();
+      return;
+    }
+
+    if (!tag) {
+      tag = document.createElement("meta");
+      tag.setAttribute(attribute, key);
+      document.head.appendChild(tag);
+    }
+
+    tag.setAttribute("content", content);
+  }
+
+  /**
+   * Resolve a URL from data.meta against `meta.url` (or the page) so crawlers get an absolute URL
+   * @param {string} url - Absolute or relative URL
+   * @returns {string} Absolute URL, or "" if it isn't a safe URL
+   */
+  resolveMetaUrl(url) {
+    if (!this.isSafeUrl(url, ["http:", "https:"])) return "";
+
+    try {
+      const base = new URL((this.data.meta && this.data.meta.url) || "", window.location.href);
+      return new URL(url, base).href;
+    } catch (error) {
+      return "";
+    }
+  }
+
+  /**
+   * Build a schema.org `Person` from the page data
+   *
+   * Jobs, education and awards come from the list sections named in `config.structuredDataSections`
+   * (or `data.meta.sections`); `sameAs` lists the `data.ext` links, limited to the keys in
+   * `data.meta.sameAs` when given.
+   * @returns {Object} JSON-LD object
+   */
+  buildPersonJsonLd() {
+    const meta = this.data.meta || {};
+    const ext = this.data.ext || {};
+    const sectionIds = { ...this.config.structuredDataSections, ...(meta.sections || {}) };
+    const email = meta.email || (this.dom.profileEmail ? this.dom.profileEmail.textContent.trim() : "");
+
+    const listItems = (key) => {
+      const section = this.data.sections.find((entry) => entry.section === sectionIds[key]);
+      return section && Array.isArray(section.body) ? section.body : [];
+    };
+
+    const sameAs = (Array.isArray(meta.sameAs) ? meta.sameAs : Object.keys(ext))
+      .map((key) => ext[key] && ext[key].link)
+      .filter((link) => link && this.isSafeUrl(link, ["http:", "https:"]));
+
+    const jobs = listItems("work").map((item) =>
+      this.compactJsonLd({
+        "@type": "EmployeeRole",
+        roleName: this.toPlainText(item.subheader),
+        startDate: this.parseYearMonth(item.start) ? item.start : undefined,
+        endDate: this.parseYearMonth(item.end) ? item.end : undefined,
+        worksFor: { "@type": "Organization", name: this.toPlainText(item.header) },
+      })
+    );
+
+    const education = listItems("education").map((item) => ({
+      "@type": "EducationalOrganization",
+      name: this.toPlainText(item.header),
+    }));
+
+    const credentials = listItems("education")
+      .filter((item) => item.main)
+      .map((item) => ({
+        "@type": "EducationalOccupationalCredential",
+        name: this.toPlainText(item.main),
+      }));
+
+    const awards = listItems("awards").map((item) =>
+      [item.main, item.header].map((text) => this.toPlainText(text)).filter(Boolean).join(", ")
+    );
+
+    return this.compactJsonLd({
+      "@context": "https://schema.org",
+      "@type": "Person",
+      name: meta.name || (this.dom.profileName ? this.dom.profileName.textContent.trim() : ""),
+      jobTitle: meta.jobTitle,
+      description: meta.description,
+      url: this.resolveMetaUrl(meta.url || window.location.href.split(/[?#]/)[0]),
+      image: meta.image ? this.resolveMetaUrl(meta.image) : undefined,
+      email: email ? `mailto:${email.replace(/^mailto:/i, "")}` : undefined,
+      sameAs,
+      worksFor: jobs,
+      alumniOf: education,
+      hasCredential: credentials,
+      award: awards,
     });
+  }
 
-    sectionBuilder.appendTo(this.dom.content);
+  /**
+   * Drop empty strings, undefined values and empty arrays from a JSON-LD object
+   * @param {Object} object - JSON-LD object
+   * @returns {Object} The same object without empty properties
+   */
+  compactJsonLd(object) {
+    Object.keys(object).forEach((key) => {
+      const value = object[key];
+      if (value === undefined || value === "" || (Array.isArray(value) && value.length === 0)) {
+        delete object[key];
+      }
+    });
+    return object;
   }
 
   /**
-   * Build resume section (with responsive behavior)
-   * @param {Object} section - Section data
+   * Convert an HTML string from data.json to plain text
+   * @param {string} html - HTML or plain text
+   * @returns {string} Text content with whitespace collapsed
    */
-  buildRsSection(section) {
-    this.log(`Building resume section: ${section.section}`);
+  toPlainText(html) {
+    const template = document.createElement("template");
+    template.innerHTML = this.sanitizeHTML(html);
+    return template.content.textContent.replace(/\s+/g, " ").trim();
+  }
 
-    const sectionBuilder = new Builder("div", {
-      id: `${section.section}-section`,
-      class: this.config.classes.section,
-    }).scope((div) => {
-      // Section header
-      div.addChild(
-        "div",
-        {
-          class: "section-header",
-        },
-        (header) => {
-          header.addChild("h2", {
-            class: "section-title",
-            innerText: section.title,
+  // === PRINTABLE RESUME ===
+
+  /**
+   * Print a resume generated from the page data
+   *
+   * The resume is rebuilt from `this.data` on every print so it always matches the site. While
+   * printing, the print stylesheet shows only the resume. It is removed on `afterprint`, or after
+   * `config.printCleanupDelay` in browsers that don't fire it, or when the next print starts.
+   */
+  printResume() {
+    if (!this.data) {
+      this.logError("No data available for printing resume");
+      return;
+    }
+
+    if (this.printCleanup) this.printCleanup();
+
+    const { printing } = this.config.classes;
+    const resume = this.buildPrintResume();
+    let timer = null;
+
+    const cleanup = () => {
+      if (this.printCleanup !== cleanup) return;
+      this.printCleanup = null;
+
+      clearTimeout(timer);
+      window.removeEventListener("afterprint", cleanup);
+      document.body.classList.remove(printing);
+      resume.remove();
+      this.log("Resume print finished");
+    };
+
+    this.printCleanup = cleanup;
+    document.body.appendChild(resume);
+    document.body.classList.add(printing);
+    window.addEventListener("afterprint", cleanup);
+
+    this.log("Printing resume...");
+    window.print();
+
+    // print() returns once the dialog closes in most browsers, but right away in some mobile ones
+    if (this.printCleanup === cleanup) {
+      timer = setTimeout(cleanup, this.config.printCleanupDelay);
+    }
+  }
+
+  /**
+   * Build the printable resume element from the page data
+   * @returns {HTMLElement} Detached resume element
+   */
+  buildPrintResume() {
+    // Left behind by a print that was never cleaned up, e.g. by another controller
+    document
+      .querySelectorAll(`#${this.config.printResumeId}, body > .${this.config.classes.printResume}`)
+      .forEach((element) => element.remove());
+
+    const name = this.dom.profileName ? this.dom.profileName.textContent.trim() : "";
+    const email = this.dom.profileEmail ? this.dom.profileEmail.textContent.trim() : "";
+    const links = Object.values(this.data.ext || {})
+      .map((entry) => entry && entry.link)
+      .filter(Boolean);
+
+    const host = document.createElement("div");
+
+    new this.Builder("article", {
+      id: this.config.printResumeId,
+      class: this.config.classes.printResume,
+    })
+      .scope((resume) => {
+        resume.addChild("header", { class: "print-resume-header" }, (header) => {
+          if (name) header.addChild("h1", { innerText: name });
+          header.addChild("p", {
+            class: "print-resume-contact",
+            innerText: [email, ...links].filter(Boolean).join(" \u00b7 "),
           });
-        }
-      );
+        });
 
-      // Section body with buttons
-      div.addChild(
-        "div",
-        {
-          class: "section-body",
-        },
-        (body) => {
-          // Button container
-          body.addChild(
-            "div",
-            {
-              class: "resume-actions",
-            },
-            (actions) => {
-              // Download button
-              actions.addChild("a", {
-                href: section.file,
-                innerText: "Download PDF",
-                download: "whitson_resume_25.pdf",
-                class: "btn btn-primary",
-              });
+        this.data.sections.forEach((section) => {
+          const definition = this.sectionTypes.get(section.type);
+          if (!definition || !definition.print) return;
 
-              // Preview button
-              actions.addChild("button", {
-                innerText: "Preview",
-                class: "btn btn-secondary",
-                id: "resume-preview-btn",
-              });
+          try {
+            definition.print.call(this, section, resume);
+          } catch (error) {
+            this.logError(`Failed to print section ${section.section}`, error);
+          }
+        });
+      })
+      .appendTo(host);
+
+    return host.firstElementChild;
+  }
+
+  /**
+   * Add a titled block to the printable resume
+   * @param {Object} resume - Builder for the resume element
+   * @param {Object} section - Section data
+   * @param {Function} fill - Called with the block's Builder to add its content
+   * @private
+   */
+  addPrintBlock(resume, section, fill) {
+    resume.addChild("section", { class: "print-resume-section" }, (block) => {
+      block.addChild("h2", { innerText: section.title });
+      fill(block);
+    });
+  }
+
+  /**
+   * Add a paragraph section to the printable resume
+   * @param {Object} section - Section data
+   * @param {Object} resume - Builder for the resume element
+   */
+  printPgSection(section, resume) {
+    this.addPrintBlock(resume, section, (block) => {
+      block.addChild("div", { class: "print-resume-paragraph", innerHTML: this.sanitizeHTML(section.body) });
+    });
+  }
+
+  /**
+   * Add a list section to the printable resume, in timeline order when it uses that layout
+   * @param {Object} section - Section data
+   * @param {Object} resume - Builder for the resume element
+   */
+  printLsSection(section, resume) {
+    const items = section.layout === "timeline" ? this.sortTimelineItems(section.body, section.itemOrder) : section.body;
+
+    this.addPrintBlock(resume, section, (block) => {
+      items.forEach((item) => {
+        block.addChild("div", { class: "print-resume-item" }, (entry) => {
+          entry.addChild("div", { class: "print-resume-item-heading" }, (heading) => {
+            heading.addChild("strong", { innerText: item.header });
+            const dates = item.subsubheader || this.formatDateRange(item);
+            if (dates) heading.addChild("span", { class: "print-resume-dates", innerText: dates });
+          });
+          if (item.subheader) entry.addChild("div", { class: "print-resume-subheader", innerText: item.subheader });
+          if (item.main) entry.addChild("div", { innerHTML: this.sanitizeHTML(item.main) });
+        });
+      });
+    });
+  }
+
+  /**
+   * Add a skills section to the printable resume as comma-separated lists
+   * @param {Object} section - Section data
+   * @param {Object} resume - Builder for the resume element
+   */
+  printSkillsSection(section, resume) {
+    const icons = this.data.icons || {};
+    const keys = Array.isArray(section.groups) ? section.groups : Object.keys(icons);
+
+    this.addPrintBlock(resume, section, (block) => {
+      keys
+        .filter((key) => Object.prototype.hasOwnProperty.call(icons, key))
+        .map((key) => this.normalizeIconGroup(key, icons[key]))
+        .forEach((group) => {
+          block.addChild("p", {}, (line) => {
+            line.addChild("strong", { innerText: `${group.title}: ` });
+            line.addChild("span", { innerText: group.items.map((item) => item.label).join(", ") });
+          });
+        });
+    });
+  }
 
-              // Add event listener after DOM is built
-              this.addEventListenerAfterBuild("resume-preview-btn", "click", () => {
-                this.toggleResumePreview(section.file);
-              });
+  /**
+   * Add a projects section to the printable resume
+   * @param {Object} section - Section data
+   * @param {Object} resume - Builder for the resume element
+   */
+  printProjectsSection(section, resume) {
+    this.addPrintBlock(resume, section, (block) => {
+      section.body.forEach((project) => {
+        block.addChild("div", { class: "print-resume-item" }, (entry) => {
+          entry.addChild("div", { class: "print-resume-item-heading" }, (heading) => {
+            heading.addChild("strong", { innerText: project.title });
+            if (project.repo || project.demo) {
+              heading.addChild("span", { class: "print-resume-dates", innerText: project.demo || project.repo });
             }
-          );
-
-          // Hidden iframe container (will be shown when preview is clicked)
-          body.addChild("div", {
-            id: "resume-preview-container",
-            class: "resume-preview-container hidden",
           });
-        }
-      );
+          if (project.description) entry.addChild("div", { innerHTML: this.sanitizeHTML(project.description) });
+          if (project.tags && project.tags.length > 0) {
+            entry.addChild("div", { class: "print-resume-subheader", innerText: project.tags.join(", ") });
+          }
+        });
+      });
     });
-
-    sectionBuilder.appendTo(this.dom.content);
   }
 
   /**
-   * Toggle resume preview iframe
+   * Toggle resume preview
+   *
+   * Uses the browser's PDF viewer in an iframe where available and falls back to a PDF.js
+   * canvas viewer (see {@link PdfViewer}) elsewhere, e.g. on most mobile browsers.
    * @param {string} fileUrl - URL of the resume file
+   * @param {Object} ids - Elements of the preview
+   * @param {string} ids.button - Id of the preview toggle button
+   * @param {string} ids.container - Id of the preview container
+   * @param {string} [ids.title="Resume PDF"] - Accessible title for the preview
    */
-  toggleResumePreview(fileUrl) {
-    const container = document.getElementById("resume-preview-container");
-    const button = document.getElementById("resume-preview-btn");
+  toggleResumePreview(fileUrl, ids) {
+    const container = document.getElementById(ids.container);
+    const button = document.getElementById(ids.button);
 
     if (!container || !button) {
       this.logError("Resume preview elements not found");
@@ -844,23 +4339,106 @@ class PortfolioController {
     if (container.classList.contains("hidden")) {
       // Show preview
       container.innerHTML = "";
-      const iframe = document.createElement("iframe");
-      iframe.src = `${fileUrl}#toolbar=0`;
-      iframe.id = "pdfFrame";
-      iframe.title = "Resume PDF";
-      container.appendChild(iframe);
+
+      if (this.supportsInlinePdf()) {
+        const iframe = document.createElement("iframe");
+        iframe.src = `${fileUrl}#toolbar=0`;
+        iframe.title = ids.title || "Resume PDF";
+        container.appendChild(iframe);
+      } else {
+        this.showPdfViewer(container, fileUrl, ids.title || "Resume PDF");
+      }
 
       container.classList.remove("hidden");
       button.innerText = "Hide Preview";
-      this.log("Resume preview shown");
+      button.setAttribute("aria-expanded", "true");
+      this.log(`Resume preview shown: ${ids.container}`);
     } else {
       // Hide preview
+      this.closePdfViewer(ids.container);
       container.classList.add("hidden");
       container.innerHTML = "";
       button.innerText = "Preview";
-      this.log("Resume preview hidden");
+      button.setAttribute("aria-expanded", "false");
+      this.log(`Resume preview hidden: ${ids.container}`);
+    }
+  }
+
+  /**
+   * Check whether the browser can display PDFs inline
+   * @returns {boolean}
+   */
+  supportsInlinePdf() {
+    if (typeof navigator === "undefined") return false;
+    if (typeof navigator.pdfViewerEnabled === "boolean") return navigator.pdfViewerEnabled;
+    return Boolean(navigator.mimeTypes && navigator.mimeTypes["application/pdf"]);
+  }
+
+  /**
+   * Open a PDF.js viewer for a file in a preview container
+   * @param {HTMLElement} container - Preview container
+   * @param {string} fileUrl - URL of the PDF
+   * @param {string} title - Accessible title for the viewer
+   */
+  showPdfViewer(container, fileUrl, title) {
+    this.closePdfViewer(container.id);
+
+    const viewer = new PdfViewer(container, fileUrl, {
+      title,
+      loadLibrary: () => this.loadPdfJs(),
+      builder: this.Builder,
+      log: (...args) => this.log(...args),
+    });
+    this.pdfViewers.set(container.id, viewer);
+
+    viewer.open().catch((error) => {
+      this.logError(`Failed to preview ${fileUrl}`, error);
+    });
+  }
+
+  /**
+   * Close the PDF.js viewer in a preview container, if one is open
+   * @param {string} containerId - Id of the preview container
+   */
+  closePdfViewer(containerId) {
+    const viewer = this.pdfViewers.get(containerId);
+    if (viewer) {
+      viewer.destroy();
+      this.pdfViewers.delete(containerId);
+    }
+  }
+
+  /**
+   * Load the PDF.js library on first use (see `options.pdfjs`)
+   * @returns {Promise<Object>} The `pdfjsLib` global
+   * @throws {Error} If the script fails to load
+   */
+  loadPdfJs() {
+    if (window.pdfjsLib) {
+      return Promise.resolve(window.pdfjsLib);
+    }
+
+    if (!this.pdfjsPromise) {
+      const { src, workerSrc, integrity } = this.config.pdfjs;
+
+      this.pdfjsPromise = this.loadScript(src, integrity)
+        .then(() => {
+          if (!window.pdfjsLib) {
+            throw new Error("PDF.js loaded but pdfjsLib is not defined");
+          }
+          window.pdfjsLib.GlobalWorkerOptions.workerSrc = workerSrc;
+          return window.pdfjsLib;
+        })
+        .catch((error) => {
+          // Allow a later preview to try again
+          this.pdfjsPromise = null;
+          throw error;
+        });
     }
-  } 
+
+    return this.pdfjsPromise;
+  }
+
   // === PUBLIC API ===
 
   /**
@@ -871,6 +4449,14 @@ class PortfolioController {
     return this.data;
   }
 
+  /**
+   * Get the sources each section was merged from
+   * @returns {Object<string, string[]>} Data URLs by section id, in precedence order
+   */
+  getSectionSources() {
+    return Object.fromEntries(Array.from(this.sectionSources, ([id, urls]) => [id, urls.slice()]));
+  }
+
   /**
    * Get DOM cache
    * @returns {Object}
@@ -881,22 +4467,25 @@ class PortfolioController {
 
   /**
    * Refresh the page (reload data and rebuild) with proper cleanup
+   * @param {Object} [options] - Initialization options passed to {@link PortfolioController#init}
+   * @param {AbortSignal} [options.signal] - Cancels data loading, including pending retries
    * @returns {Promise<void>}
    * @throws {Error} If refresh fails
    */
-  async refresh() {
+  async refresh(options = {}) {
     try {
       this.log("Refreshing portfolio...");
 
       // Clear existing content safely
       this.clearContent();
+      this.removeEventListeners();
 
       // Reset state
       this.data = null;
       this.dom = {};
 
       // Rebuild everything
-      await this.init();
+      await this.init(options);
 
       this.log("Portfolio refresh complete");
     } catch (error) {
@@ -905,13 +4494,56 @@ class PortfolioController {
     }
   }
 
+  /**
+   * Remove the page content the controller built and all of its listeners
+   *
+   * Also finishes a print in progress. Call {@link PortfolioController#init} to build the page again.
+   */
+  destroy() {
+    this.clearContent();
+    this.removeEventListeners();
+    if (this.printCleanup) this.printCleanup();
+
+    this.data = null;
+    this.dom = {};
+    this.log("Portfolio controller destroyed");
+  }
+
+  /**
+   * Remove the listeners the build added to the window, media queries and page containers
+   *
+   * Listeners on built elements go with the content (see {@link PortfolioController#clearContent}).
+   * @private
+   */
+  removeEventListeners() {
+    window.removeEventListener("hashchange", this.handleHashChange);
+    window.removeEventListener("online", this.updateOfflineIndicator);
+    window.removeEventListener("offline", this.updateOfflineIndicator);
+
+    if (this.mobileQuery) {
+      this.mobileQuery.removeEventListener("change", this.handleMobileChange);
+      this.mobileQuery = null;
+    }
+
+    const { content, navigation, navToggle, localeSelect } = this.dom;
+    if (content) content.removeEventListener("click", this.handleSectionLinkClick);
+    if (navigation) navigation.removeEventListener("click", this.handleMenuClick);
+    if (navToggle) navToggle.removeEventListener("click", this.toggleMobileMenu);
+    if (localeSelect) localeSelect.removeEventListener("change", this.handleLocaleChange);
+  }
+
   /**
    * Clear existing content from DOM containers
    * @private
    */
   clearContent() {
     try {
-      const containersToClear = ["content", "linklist"];
+      this.buildGeneration++;
+      this.teardownScrollSpy();
+      Array.from(this.pdfViewers.keys()).forEach((containerId) => this.closePdfViewer(containerId));
+      this.closeMobileMenu(false);
+
+      const containersToClear = ["content", "linklist", "extIcons", "localeSelect"];
 
       containersToClear.forEach((containerKey) => {
         const container = this.dom[containerKey];
@@ -927,12 +4559,19 @@ class PortfolioController {
 
   /**
    * Add event listener to element after DOM is built (utility for Builder.js)
+   *
+   * Skipped if the page is cleared before it runs, as otherwise the listener would land on the
+   * element with the same id in the next build, next to that build's own.
    * @param {string} elementId - ID of the element to add listener to
    * @param {string} event - Event type (e.g., 'click', 'change')
    * @param {Function} handler - Event handler function
    */
   addEventListenerAfterBuild(elementId, event, handler) {
+    const generation = this.buildGeneration;
+
     setTimeout(() => {
+      if (generation !== this.buildGeneration) return;
+
       const element = document.getElementById(elementId);
       if (element) {
         element.addEventListener(event, handler);
@@ -945,10 +4584,332 @@ class PortfolioController {
 }
 
 /**
- * ThemeController - Manages light/dark theme switching
+ * PdfViewer - Canvas-based PDF viewer built on PDF.js
+ *
+ * Used for resume previews on browsers without a built-in PDF viewer. Renders one page at a
+ * time with page navigation and zoom, and shows loading and error states in the container.
+ *
+ * @class PdfViewer
+ *
+ * @example
+ * const viewer = new PdfViewer(container, "./data/resume.pdf", {
+ *   loadLibrary: () => Promise.resolve(window.pdfjsLib),
+ * });
+ * await viewer.open();
+ */
+class PdfViewer {
+  /**
+   * Create a new PdfViewer instance
+   * @param {HTMLElement} container - Element the viewer is rendered into
+   * @param {string} url - URL of the PDF
+   * @param {Object} options - Configuration options
+   * @param {Function} options.loadLibrary - Returns a promise for the `pdfjsLib` object
+   * @param {string} [options.title="PDF document"] - Accessible title for the viewer
+   * @param {Function} [options.log] - Debug logging function
+   * @param {Function} [options.builder] - Builder class to render with (defaults like PortfolioController's)
+   */
+  constructor(container, url, options = {}) {
+    if (!container || typeof url !== "string" || typeof options.loadLibrary !== "function") {
+      throw new TypeError("PdfViewer needs a container, a URL and a loadLibrary function");
+    }
+
+    this.container = container;
+    this.url = url;
+    this.title = options.title || "PDF document";
+    this.loadLibrary = options.loadLibrary;
+    this.log = options.log || (() => {});
+    this.Builder = options.builder || getDefaultBuilder();
+
+    this.doc = null;
+    this.pageNumber = 1;
+    // Zoom relative to fit-to-width
+    this.zoom = 1;
+    this.renderTask = null;
+    // Incremented per render, so an older render can tell a newer one has started
+    this.renderId = 0;
+    this.destroyed = false;
+    this.elements = {};
+
+    this.zoomSteps = Object.freeze({ min: 0.5, max: 3, factor: 1.25 });
+  }
+
+  /**
+   * Load the document and render the first page
+   * @returns {Promise<void>}
+   * @throws {Error} If PDF.js or the document fails to load (the error state is shown first)
+   */
+  async open() {
+    this.buildViewer();
+    this.setState("loading", "Loading PDF\u2026");
+
+    try {
+      const pdfjsLib = await this.loadLibrary();
+      if (this.destroyed) return;
+
+      this.loadingTask = pdfjsLib.getDocument(this.url);
+      this.doc = await this.loadingTask.promise;
+      if (this.destroyed) return;
+
+      this.log(`PDF loaded: ${this.url} (${this.doc.numPages} pages)`);
+      this.setState("ready");
+      await this.renderPage();
+    } catch (error) {
+      if (this.destroyed) return;
+      this.showError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Show the error state for a failed load or render
+   * @param {Error} error - What went wrong
+   * @private
+   */
+  showError(error) {
+    if (this.destroyed) return;
+
+    this.log(`PDF could not be displayed: ${this.url} (${error && error.message})`);
+    this.setState("error", "The PDF could not be displayed here.");
+  }
+
+  /**
+   * Build the toolbar, canvas and status elements
+   * @private
+   */
+  buildViewer() {
+    this.container.innerHTML = "";
+
+    new this.Builder("div", {
+      class: "pdf-viewer",
+      role: "region",
+      "aria-label": this.title,
+    })
+      .scope((viewer) => {
+        viewer.addChild("div", { class: "pdf-viewer-toolbar" }, (toolbar) => {
+          toolbar.addChild("button", { type: "button", class: "btn btn-icon btn-sm btn-ghost", "data-action": "prev", "aria-label": "Previous page", innerText: "\u2039" });
+          toolbar.addChild("span", { class: "pdf-viewer-page", "aria-live": "polite" });
+          toolbar.addChild("button", { type: "button", class: "btn btn-icon btn-sm btn-ghost", "data-action": "next", "aria-label": "Next page", innerText: "\u203a" });
+          toolbar.addChild("span", { class: "pdf-viewer-spacer" });
+          toolbar.addChild("button", { type: "button", class: "btn btn-icon btn-sm btn-ghost", "data-action": "zoom-out", "aria-label": "Zoom out", innerText: "\u2212" });
+          toolbar.addChild("span", { class: "pdf-viewer-zoom" });
+          toolbar.addChild("button", { type: "button", class: "btn btn-icon btn-sm btn-ghost", "data-action": "zoom-in", "aria-label": "Zoom in", innerText: "+" });
+        });
+        viewer.addChild("div", { class: "pdf-viewer-status", role: "status" }, (status) => {
+          status.addChild("span", { class: "pdf-viewer-message" });
+          status.addChild("a", { class: "btn btn-sm btn-primary", href: this.url, download: "", innerText: "Download PDF" });
+        });
+        viewer.addChild("div", { class: "pdf-viewer-canvas" }, (wrapper) => {
+          wrapper.addChild("canvas", { "aria-label": this.title, role: "img" });
+        });
+      })
+      .appendTo(this.container);
+
+    const root = this.container.querySelector(".pdf-viewer");
+    this.elements = {
+      root,
+      page: root.querySelector(".pdf-viewer-page"),
+      zoom: root.querySelector(".pdf-viewer-zoom"),
+      message: root.querySelector(".pdf-viewer-message"),
+      wrapper: root.querySelector(".pdf-viewer-canvas"),
+      canvas: root.querySelector("canvas"),
+    };
+
+    root.querySelector(".pdf-viewer-toolbar").addEventListener("click", (event) => {
+      const button = event.target.closest("[data-action]");
+      if (!button) return;
+
+      const actions = {
+        prev: () => this.goToPage(this.pageNumber - 1),
+        next: () => this.goToPage(this.pageNumber + 1),
+        "zoom-in": () => this.setZoom(this.zoom * this.zoomSteps.factor),
+        "zoom-out": () => this.setZoom(this.zoom / this.zoomSteps.factor),
+      };
+      actions[button.getAttribute("data-action")]().catch((error) => this.showError(error));
+    });
+  }
+
+  /**
+   * Switch between the loading, error and ready states
+   * @param {string} state - "loading", "error" or "ready"
+   * @param {string} [message=""] - Status message for loading and error states
+   * @private
+   */
+  setState(state, message = "") {
+    if (!this.elements.root) return;
+
+    this.elements.root.setAttribute("data-state", state);
+    this.elements.message.textContent = message;
+    this.updateControls();
+  }
+
+  /**
+   * Show a page
+   * @param {number} pageNumber - 1-based page number, clamped to the document
+   * @returns {Promise<void>}
+   */
+  goToPage(pageNumber) {
+    if (!this.doc) return Promise.resolve();
+
+    this.pageNumber = Math.min(Math.max(1, pageNumber), this.doc.numPages);
+    return this.renderPage();
+  }
+
+  /**
+   * Set the zoom level relative to fit-to-width
+   * @param {number} zoom - Zoom factor, clamped to the allowed range
+   * @returns {Promise<void>}
+   */
+  setZoom(zoom) {
+    this.zoom = Math.min(Math.max(this.zoomSteps.min, zoom), this.zoomSteps.max);
+    return this.renderPage();
+  }
+
+  /**
+   * Render the current page at the current zoom
+   * @returns {Promise<void>}
+   * @private
+   */
+  async renderPage() {
+    if (!this.doc || this.destroyed) return;
+
+    this.renderId += 1;
+    const renderId = this.renderId;
+
+    if (this.renderTask) {
+      this.renderTask.cancel();
+      this.renderTask = null;
+    }
+
+    const page = await this.doc.getPage(this.pageNumber);
+    // Destroyed, or a newer render started while the page loaded
+    if (this.destroyed || renderId !== this.renderId) return;
+
+    const { canvas, wrapper } = this.elements;
+    const fitWidth = (wrapper.clientWidth || page.getViewport({ scale: 1 }).width) / page.getViewport({ scale: 1 }).width;
+    const viewport = page.getViewport({ scale: fitWidth * this.zoom });
+    const ratio = window.devicePixelRatio || 1;
+
+    canvas.width = Math.floor(viewport.width * ratio);
+    canvas.height = Math.floor(viewport.height * ratio);
+    canvas.style.width = `${Math.floor(viewport.width)}px`;
+    canvas.style.height = `${Math.floor(viewport.height)}px`;
+
+    this.updateControls();
+
+    const renderTask = page.render({
+      canvasContext: canvas.getContext("2d"),
+      viewport,
+      transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null,
+    });
+    this.renderTask = renderTask;
+
+    try {
+      await renderTask.promise;
+    } catch (error) {
+      // A newer render cancelled this one
+      if (error && error.name === "RenderingCancelledException") return;
+      throw error;
+    } finally {
+      // Leave a newer render's task in place so the next render can still cancel it
+      if (this.renderTask === renderTask) this.renderTask = null;
+    }
+  }
+
+  /**
+   * Update the page indicator, zoom label and button states
+   * @private
+   */
+  updateControls() {
+    const { root, page, zoom } = this.elements;
+    if (!root) return;
+
+    const total = this.doc ? this.doc.numPages : 0;
+    page.textContent = total ? `Page ${this.pageNumber} of ${total}` : "";
+    zoom.textContent = `${Math.round(this.zoom * 100)}%`;
+
+    const disabled = {
+      prev: !this.doc || this.pageNumber <= 1,
+      next: !this.doc || this.pageNumber >= total,
+      "zoom-out": !this.doc || this.zoom <= this.zoomSteps.min,
+      "zoom-in": !this.doc || this.zoom >= this.zoomSteps.max,
+    };
+
+    root.querySelectorAll("[data-action]").forEach((button) => {
+      button.disabled = disabled[button.getAttribute("data-action")];
+    });
+  }
+
+  /**
+   * Stop rendering, release the document and empty the container
+   */
+  destroy() {
+    this.destroyed = true;
+
+    if (this.renderTask) this.renderTask.cancel();
+    if (this.loadingTask) this.loadingTask.destroy();
+    else if (this.doc) this.doc.destroy();
+
+    this.doc = null;
+    this.renderTask = null;
+    this.container.innerHTML = "";
+    this.elements = {};
+    this.log(`PDF viewer closed: ${this.url}`);
+  }
+}
+
+/**
+ * Calculate sunrise and sunset for a day and place
+ *
+ * Uses the NOAA approximation of the sunrise equation, which is accurate to a few minutes
+ * away from the poles; nothing is looked up online.
+ * @param {Date} date - Any time on the day (local noon gives that calendar day)
+ * @param {number} latitude - Latitude in degrees, north positive
+ * @param {number} longitude - Longitude in degrees, east positive
+ * @returns {{sunrise: Date, sunset: Date}|{polar: string}} Times of the day, or `polar` set to
+ *   "day" or "night" when the sun doesn't rise or set
+ */
+function getSunTimes(date, latitude, longitude) {
+  const rad = Math.PI / 180;
+  const dayMs = 86400000;
+  const julianEpoch = 2440587.5;
+  const j2000 = 2451545;
+
+  // Mean solar noon in days since J2000
+  const days = date.getTime() / dayMs + julianEpoch - j2000;
+  const cycle = Math.round(days - 0.0009 + longitude / 360);
+  const noon = 0.0009 - longitude / 360 + cycle;
+
+  const anomaly = (357.5291 + 0.98560028 * noon) * rad;
+  const center = (1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly)) * rad;
+  const eclipticLongitude = anomaly + center + (102.9372 + 180) * rad;
+  const transit = j2000 + noon + 0.0053 * Math.sin(anomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+
+  const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(23.4397 * rad));
+  const cosHourAngle =
+    (Math.sin(-0.833 * rad) - Math.sin(latitude * rad) * Math.sin(declination)) /
+    (Math.cos(latitude * rad) * Math.cos(declination));
+
+  if (cosHourAngle > 1) return { polar: "night" };
+  if (cosHourAngle < -1) return { polar: "day" };
+
+  const hourAngle = Math.acos(cosHourAngle) / (2 * Math.PI);
+  const toDate = (julianDay) => new Date((julianDay - julianEpoch) * dayMs);
+
+  return { sunrise: toDate(transit - hourAngle), sunset: toDate(transit + hourAngle) };
+}
+
+/**
+ * ThemeController - Manages theme switching
  *
  * This class handles theme detection, switching, and persistence using CSS custom properties
- * and data attributes. It respects system preferences and remembers user choices.
+ * and data attributes. It respects system preferences and remembers user choices. Themes live in
+ * a registry: the built-in light and dark palettes come from the stylesheet, and further themes
+ * are registered with the custom-property values they override.
+ *
+ * The theme mode is either a registered theme, which is saved, or "system", which saves nothing
+ * and follows `prefers-color-scheme` as it changes. With a `schedule` configured there is also an
+ * "auto-schedule" mode that switches between light and dark at set times or at local sunrise and
+ * sunset.
  *
  * @class ThemeController
  * @since 1.0.0
@@ -959,75 +4920,342 @@ class ThemeController {
    * @param {Object} options - Configuration options
    * @param {boolean} [options.debug=false] - Enable debug logging
    * @param {string} [options.storageKey="theme"] - localStorage key for theme preference
+   * @param {Object<string, ThemeDefinition>} [options.themes] - Additional themes to register
+   * @param {Object} [options.schedule] - Enables the "auto-schedule" mode, either with times or a location
+   * @param {string} [options.schedule.light="07:00"] - Local time ("HH:MM") to switch to the light theme
+   * @param {string} [options.schedule.dark="19:00"] - Local time ("HH:MM") to switch to the dark theme
+   * @param {number} [options.schedule.latitude] - Switch at sunrise and sunset here instead (with longitude)
+   * @param {number} [options.schedule.longitude] - Longitude for sunrise and sunset, east positive
+   * @throws {TypeError} If a theme or the schedule is invalid
    */
   constructor(options = {}) {
     this.debug = Boolean(options.debug);
     this.storageKey = options.storageKey || "theme";
+    this.initialized = false;
 
+    // Built-in themes, styled by the stylesheet
     this.themes = Object.freeze({
       LIGHT: "light",
       DARK: "dark",
     });
 
-    // Bind methods
-    this.init = this.init.bind(this);
-    this.setTheme = this.setTheme.bind(this);
-    this.toggleTheme = this.toggleTheme.bind(this);
-    this.handleSystemThemeChange = this.handleSystemThemeChange.bind(this);
+    // Mode that follows the OS light/dark preference instead of a chosen theme
+    this.systemMode = Object.freeze({
+      name: "system",
+      label: "System",
+      icon: "💻",
+    });
+
+    // Mode that switches between light and dark on the configured schedule
+    this.scheduleMode = Object.freeze({
+      name: "auto-schedule",
+      label: "Scheduled",
+      icon: "🕒",
+    });
+
+    // Until a saved theme is found, follow the OS
+    this.mode = this.systemMode.name;
+
+    this.schedule = options.schedule === undefined ? null : this.normalizeSchedule(options.schedule);
+    this.scheduleTimer = null;
+    // MediaQueryList watched for OS theme changes
+    this.systemQuery = null;
+
+    this.selectors = Object.freeze({
+      picker: ".theme-picker",
+      button: ".theme-picker-btn",
+      menu: ".theme-menu",
+      item: "[data-theme-option]",
+    });
+
+    // <style> element holding the custom properties of registered themes
+    this.styleElementId = "theme-registry-styles";
+
+    // Shortcut handleToggleShortcut listens for, in aria-keyshortcuts syntax
+    this.toggleShortcut = "Alt+Shift+T";
+
+    this.picker = null;
+
+    this.registry = new Map();
+    this.registerTheme(this.themes.LIGHT, { label: "Light", icon: "☀️", colorScheme: "light" });
+    this.registerTheme(this.themes.DARK, { label: "Dark", icon: "🌙", colorScheme: "dark" });
+    this.registerTheme("high-contrast", {
+      label: "High contrast",
+      icon: "◐",
+      colorScheme: "dark",
+      properties: {
+        "--color-primary": "#ffd400",
+        "--color-primary-hover": "#ffe866",
+        "--color-secondary": "#ffffff",
+        "--color-accent": "#00e5ff",
+        "--color-error": "#ff6b6b",
+        "--color-background": "#000000",
+        "--color-surface": "#000000",
+        "--color-surface-elevated": "#1a1a1a",
+        "--color-text-primary": "#ffffff",
+        "--color-text-secondary": "#ffffff",
+        "--color-text-muted": "#e0e0e0",
+        "--color-border": "#ffffff",
+        "--color-border-hover": "#ffd400",
+        "--color-divider": "#a0a0a0",
+      },
+    });
+    this.registerTheme("sepia", {
+      label: "Sepia",
+      icon: "📜",
+      colorScheme: "light",
+      properties: {
+        "--color-primary": "#8b5e34",
+        "--color-primary-hover": "#6f4a28",
+        "--color-secondary": "#7a6850",
+        "--color-accent": "#5f7f1f",
+        "--color-background": "#f4ecd8",
+        "--color-surface": "#f8f1e1",
+        "--color-surface-elevated": "#efe4cc",
+        "--color-text-primary": "#3b2f22",
+        "--color-text-secondary": "#5b4a36",
+        "--color-text-muted": "#7a6850",
+        "--color-border": "#dccfb4",
+        "--color-border-hover": "#cbbb9b",
+        "--color-divider": "#e8dcc3",
+      },
+    });
+
+    if (options.themes !== undefined) {
+      if (typeof options.themes !== "object" || options.themes === null) {
+        throw new TypeError("options.themes must be an object");
+      }
+
+      Object.entries(options.themes).forEach(([name, definition]) => {
+        this.registerTheme(name, definition);
+      });
+    }
+
+    // Bind methods
+    this.init = this.init.bind(this);
+    this.setTheme = this.setTheme.bind(this);
+    this.toggleTheme = this.toggleTheme.bind(this);
+    this.handleSystemThemeChange = this.handleSystemThemeChange.bind(this);
+    this.handleThemeMenuKeydown = this.handleThemeMenuKeydown.bind(this);
+    this.handleThemeButtonClick = this.handleThemeButtonClick.bind(this);
+    this.handleThemeButtonKeydown = this.handleThemeButtonKeydown.bind(this);
+    this.handleThemeMenuClick = this.handleThemeMenuClick.bind(this);
+    this.handleThemeOutsideClick = this.handleThemeOutsideClick.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handleToggleShortcut = this.handleToggleShortcut.bind(this);
+  }
+
+  /**
+   * Debug logging utility
+   * @param {...any} args - Arguments to log
+   */
+  log(...args) {
+    if (this.debug && args.length > 0) {
+      console.log("ThemeController:", ...args);
+    }
+  }
+
+  /**
+   * Initialize the theme controller
+   */
+  init() {
+    try {
+      this.log("Initializing theme controller...");
+      this.initialized = true;
+
+      // Add the custom properties of registered themes
+      this.renderThemeStyles();
+
+      // Set up theme picker menu
+      this.setupThemePicker();
+
+      // Cycle light, dark and system from the keyboard
+      document.addEventListener("keydown", this.handleToggleShortcut);
+
+      // Set initial theme
+      this.initializeTheme();
+
+      // Listen for system theme changes
+      this.setupSystemThemeListener();
+
+      // Catch up on scheduled switches missed while the page was hidden
+      this.setupScheduleListener();
+
+      this.log("Theme controller initialized");
+    } catch (error) {
+      console.error("Failed to initialize theme controller:", error);
+    }
+  }
+
+  /**
+   * Remove the controller's listeners and stop the schedule timer
+   *
+   * The applied theme stays in place; call {@link ThemeController#init} to pick up again.
+   */
+  destroy() {
+    this.clearScheduleTimer();
+    document.removeEventListener("visibilitychange", this.handleVisibilityChange);
+    document.removeEventListener("click", this.handleThemeOutsideClick);
+    document.removeEventListener("keydown", this.handleToggleShortcut);
+
+    if (this.systemQuery) {
+      this.systemQuery.removeEventListener("change", this.handleSystemThemeChange);
+      this.systemQuery = null;
+    }
+
+    if (this.picker) {
+      const { button, menu } = this.picker;
+      button.removeEventListener("click", this.handleThemeButtonClick);
+      button.removeEventListener("keydown", this.handleThemeButtonKeydown);
+      menu.removeEventListener("click", this.handleThemeMenuClick);
+      menu.removeEventListener("keydown", this.handleThemeMenuKeydown);
+      this.picker = null;
+    }
+
+    this.initialized = false;
+    this.log("Theme controller destroyed");
+  }
+
+  // === THEME REGISTRY ===
+
+  /**
+   * @typedef {Object} ThemeDefinition
+   * @property {string} label - Name shown in the theme picker
+   * @property {string} [icon] - Icon (emoji or text) shown in the picker
+   * @property {string} [colorScheme="light"] - "light" or "dark": the stylesheet palette the theme
+   *   starts from, exposed as `data-color-scheme` on `<html>`
+   * @property {Object<string, string>} [properties] - CSS custom properties the theme overrides,
+   *   e.g. `{ "--color-primary": "#8b5e34" }`
+   */
+
+  /**
+   * Register a theme so it can be chosen in the picker and with {@link ThemeController#setTheme}
+   * @param {string} name - Theme identifier, used for `data-theme` and the saved preference
+   * @param {ThemeDefinition} definition - Label and palette of the theme
+   * @returns {ThemeController} The controller, for chaining
+   * @throws {TypeError} If the name or definition is invalid
+   *
+   * @example
+   * themeController.registerTheme("brand", {
+   *   label: "Brand",
+   *   icon: "🎨",
+   *   colorScheme: "dark",
+   *   properties: { "--color-primary": "#e11d48", "--color-primary-hover": "#be123c" },
+   * });
+   */
+  registerTheme(name, definition) {
+    if (typeof name !== "string" || !/^[a-z][a-z0-9-]*$/.test(name)) {
+      throw new TypeError(`Theme name must be lowercase letters, digits and dashes: ${name}`);
+    }
+
+    if (name === this.systemMode.name || name === this.scheduleMode.name) {
+      throw new TypeError(`"${name}" is reserved for a theme mode`);
+    }
+
+    if (!definition || typeof definition.label !== "string" || !definition.label.trim()) {
+      throw new TypeError(`Theme "${name}" must provide a label`);
+    }
+
+    if (definition.icon !== undefined && typeof definition.icon !== "string") {
+      throw new TypeError(`Theme "${name}" icon must be a string`);
+    }
+
+    const colorScheme = definition.colorScheme || this.themes.LIGHT;
+    if (colorScheme !== this.themes.LIGHT && colorScheme !== this.themes.DARK) {
+      throw new TypeError(`Theme "${name}" colorScheme must be "light" or "dark"`);
+    }
+
+    const properties = definition.properties || {};
+    if (typeof properties !== "object") {
+      throw new TypeError(`Theme "${name}" properties must be an object`);
+    }
+
+    Object.entries(properties).forEach(([property, value]) => {
+      if (!/^--[\w-]+$/.test(property)) {
+        throw new TypeError(`Theme "${name}" property ${property} is not a CSS custom property`);
+      }
+      // Values are written into a <style> rule, so keep them from closing it
+      if (typeof value !== "string" || /[;{}<>]/.test(value)) {
+        throw new TypeError(`Theme "${name}" has an invalid value for ${property}`);
+      }
+    });
+
+    if (this.registry.has(name)) {
+      this.log(`Overriding theme: ${name}`);
+    }
+
+    this.registry.set(
+      name,
+      Object.freeze({
+        name,
+        label: definition.label,
+        icon: definition.icon || "",
+        colorScheme,
+        properties: Object.freeze({ ...properties }),
+      })
+    );
+
+    // Themes registered after init show up straight away
+    if (this.initialized) {
+      this.renderThemeStyles();
+      this.buildThemeMenu();
+    }
+
+    return this;
   }
 
   /**
-   * Debug logging utility
-   * @param {...any} args - Arguments to log
+   * Get the registered theme identifiers, in picker order
+   * @returns {string[]}
    */
-  log(...args) {
-    if (this.debug && args.length > 0) {
-      console.log("ThemeController:", ...args);
-    }
+  getThemes() {
+    return Array.from(this.registry.keys());
   }
 
   /**
-   * Initialize the theme controller
+   * Write the custom properties of registered themes into the page
+   *
+   * Rules use `:root[data-theme=...]` so they win over the stylesheet's light and dark palettes.
    */
-  init() {
-    try {
-      this.log("Initializing theme controller...");
-
-      // Set initial theme
-      this.initializeTheme();
-
-      // Set up theme toggle button
-      this.setupThemeToggle();
-
-      // Listen for system theme changes
-      this.setupSystemThemeListener();
+  renderThemeStyles() {
+    const rules = Array.from(this.registry.values())
+      .filter((theme) => Object.keys(theme.properties).length > 0)
+      .map((theme) => {
+        const declarations = Object.entries(theme.properties)
+          .map(([property, value]) => `  ${property}: ${value};`)
+          .join("\n");
+        return `:root[data-theme="${theme.name}"] {\n${declarations}\n}`;
+      });
 
-      this.log("Theme controller initialized");
-    } catch (error) {
-      console.error("Failed to initialize theme controller:", error);
+    let style = document.getElementById(this.styleElementId);
+    if (!style) {
+      style = document.createElement("style");
+      style.id = this.styleElementId;
+      document.head.appendChild(style);
     }
+
+    style.textContent = rules.join("\n\n");
   }
 
   /**
-   * Initialize theme based on user preference or system setting
+   * Initialize theme based on user preference, or follow the system setting without saving it
    */
   initializeTheme() {
     const savedTheme = this.getSavedTheme();
-    const systemTheme = this.getSystemTheme();
-    const theme = savedTheme || systemTheme;
 
-    this.log(`Initializing theme: saved=${savedTheme}, system=${systemTheme}, final=${theme}`);
-    this.setTheme(theme);
+    this.log(`Initializing theme: saved=${savedTheme}, system=${this.getSystemTheme()}`);
+    this.setTheme(savedTheme || this.systemMode.name);
   }
 
   /**
    * Get saved theme from localStorage
-   * @returns {string|null} Saved theme or null if not found
+   * @returns {string|null} Saved theme, "auto-schedule" when that mode is saved and configured, or
+   *   null if not found or no longer registered
    */
   getSavedTheme() {
     try {
       const saved = localStorage.getItem(this.storageKey);
-      if (saved && Object.values(this.themes).includes(saved)) {
+      if (saved && (this.registry.has(saved) || (saved === this.scheduleMode.name && this.schedule))) {
         return saved;
       }
     } catch (error) {
@@ -1047,40 +5275,91 @@ class ThemeController {
     return this.themes.LIGHT;
   }
 
+  /**
+   * Get the theme mode: the chosen theme, or "system" while following the OS
+   * @returns {string} Theme mode
+   */
+  getMode() {
+    return this.mode;
+  }
+
   /**
    * Get current active theme
+   *
+   * In system mode this is the light or dark theme currently applied for the OS preference.
    * @returns {string} Current theme
    */
   getCurrentTheme() {
     const current = document.documentElement.getAttribute("data-theme");
-    return current || this.getSystemTheme();
+    return this.registry.has(current) ? current : this.getSystemTheme();
   }
 
   /**
    * Set the active theme
-   * @param {string} theme - Theme to set (light or dark)
+   *
+   * A registered theme is saved as the preference; "system" removes the saved preference and
+   * applies the OS light/dark theme, following it as it changes. "auto-schedule" is saved and
+   * applies light or dark for the time of day until another theme is set.
+   * @param {string} theme - Registered theme to set, "system" or "auto-schedule"
    */
   setTheme(theme) {
-    if (!Object.values(this.themes).includes(theme)) {
+    if (theme === this.scheduleMode.name) {
+      if (!this.schedule) {
+        console.warn("Theme schedule is not configured");
+        return;
+      }
+
+      this.log("Following theme schedule");
+      this.mode = theme;
+      this.saveTheme(theme);
+      this.applyTheme(this.getScheduledTheme());
+      this.scheduleNextSwitch();
+      return;
+    }
+
+    if (theme === this.systemMode.name) {
+      this.log("Following system theme");
+      this.clearScheduleTimer();
+      this.mode = theme;
+      this.clearSavedTheme();
+      this.applyTheme(this.getSystemTheme());
+      return;
+    }
+
+    if (!this.registry.has(theme)) {
       console.warn(`Invalid theme: ${theme}`);
       return;
     }
 
     this.log(`Setting theme to: ${theme}`);
-
-    // Set data attribute for CSS
-    document.documentElement.setAttribute("data-theme", theme);
+    this.clearScheduleTimer();
+    this.mode = theme;
 
     // Save to localStorage
     this.saveTheme(theme);
 
-    // Update theme toggle button
-    this.updateThemeToggleButton(theme);
+    this.applyTheme(theme);
+  }
+
+  /**
+   * Apply a registered theme to the page without changing the saved preference
+   * @param {string} theme - Registered theme to apply
+   */
+  applyTheme(theme) {
+    const definition = this.registry.get(theme);
+    const previous = this.getCurrentTheme();
+
+    // Set data attributes for CSS
+    document.documentElement.setAttribute("data-theme", theme);
+    document.documentElement.setAttribute("data-color-scheme", definition.colorScheme);
+
+    // Update theme picker
+    this.updateThemePicker(theme);
 
     // Dispatch custom event
     window.dispatchEvent(
       new CustomEvent("themechange", {
-        detail: { theme, previous: this.getCurrentTheme() },
+        detail: { theme, previous, colorScheme: definition.colorScheme, mode: this.mode },
       })
     );
   }
@@ -1098,49 +5377,400 @@ class ThemeController {
   }
 
   /**
-   * Toggle between light and dark themes
+   * Remove the saved theme preference
+   */
+  clearSavedTheme() {
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      console.warn("Could not remove theme from localStorage:", error);
+    }
+  }
+
+  /**
+   * Cycle through the light, dark and system modes, then auto-schedule when it is configured
+   *
+   * Any other registered theme moves on to light.
    */
   toggleTheme() {
-    const currentTheme = this.getCurrentTheme();
-    const newTheme = currentTheme === this.themes.DARK ? this.themes.LIGHT : this.themes.DARK;
-    this.setTheme(newTheme);
+    const cycle = [this.themes.LIGHT, this.themes.DARK, this.systemMode.name];
+    if (this.schedule) {
+      cycle.push(this.scheduleMode.name);
+    }
+
+    const next = cycle[(cycle.indexOf(this.mode) + 1) % cycle.length];
+    this.setTheme(next);
+  }
+
+  /**
+   * Call {@link ThemeController#toggleTheme} on Alt+Shift+T, outside text fields
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  handleToggleShortcut(event) {
+    if (!event.altKey || !event.shiftKey || event.ctrlKey || event.metaKey || event.code !== "KeyT") return;
+    if (event.target instanceof Element && event.target.closest("input, textarea, select, [contenteditable]")) return;
+
+    event.preventDefault();
+    this.toggleTheme();
   }
 
+  // === THEME PICKER ===
+
   /**
-   * Set up theme toggle button event listeners
+   * Set up the theme picker button and menu
    */
-  setupThemeToggle() {
-    const toggleButton = document.querySelector(".theme-toggle-btn");
-    if (!toggleButton) {
-      console.warn("Theme toggle button not found");
+  setupThemePicker() {
+    const container = document.querySelector(this.selectors.picker);
+    const button = container && container.querySelector(this.selectors.button);
+    const menu = container && container.querySelector(this.selectors.menu);
+    if (!button || !menu) {
+      console.warn("Theme picker not found");
       return;
     }
 
-    toggleButton.addEventListener("click", this.toggleTheme);
+    this.picker = { container, button, menu };
+    button.setAttribute("aria-keyshortcuts", this.toggleShortcut);
+    this.buildThemeMenu();
 
-    // Add keyboard support
-    toggleButton.addEventListener("keydown", (event) => {
-      if (event.key === "Enter" || event.key === " ") {
-        event.preventDefault();
-        this.toggleTheme();
-      }
+    // Bound handlers, so setting up again doesn't add a second copy
+    button.addEventListener("click", this.handleThemeButtonClick);
+    button.addEventListener("keydown", this.handleThemeButtonKeydown);
+    menu.addEventListener("click", this.handleThemeMenuClick);
+    menu.addEventListener("keydown", this.handleThemeMenuKeydown);
+
+    this.log("Theme picker configured");
+  }
+
+  /**
+   * Open or close the theme menu from the picker button
+   */
+  handleThemeButtonClick() {
+    if (this.picker.menu.hidden) {
+      this.openThemeMenu();
+    } else {
+      this.closeThemeMenu();
+    }
+  }
+
+  /**
+   * Arrow keys on the picker button open the menu on the first or last theme, like a native menu button
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  handleThemeButtonKeydown(event) {
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault();
+      this.openThemeMenu(event.key === "ArrowDown" ? 0 : -1);
+    }
+  }
+
+  /**
+   * Choose the clicked theme and close the menu
+   * @param {MouseEvent} event - Click event
+   */
+  handleThemeMenuClick(event) {
+    const item = event.target.closest(this.selectors.item);
+    if (!item) return;
+
+    this.setTheme(item.dataset.themeOption);
+    this.closeThemeMenu(true);
+  }
+
+  /**
+   * Close the open theme menu on clicks outside the picker
+   * @param {MouseEvent} event - Click event
+   */
+  handleThemeOutsideClick(event) {
+    if (this.picker && !this.picker.container.contains(event.target)) {
+      this.closeThemeMenu();
+    }
+  }
+
+  /**
+   * Build a menu item for every registered theme
+   */
+  buildThemeMenu() {
+    if (!this.picker) return;
+
+    const { menu } = this.picker;
+    menu.textContent = "";
+
+    const modes = this.schedule ? [this.systemMode, this.scheduleMode] : [this.systemMode];
+
+    [...modes, ...this.registry.values()].forEach((theme) => {
+      const listItem = document.createElement("li");
+      listItem.setAttribute("role", "none");
+
+      const item = document.createElement("button");
+      item.type = "button";
+      item.className = "theme-menu-item";
+      item.tabIndex = -1;
+      item.dataset.themeOption = theme.name;
+      item.setAttribute("role", "menuitemradio");
+
+      const icon = document.createElement("span");
+      icon.className = "theme-icon";
+      icon.setAttribute("aria-hidden", "true");
+      icon.textContent = theme.icon;
+
+      const label = document.createElement("span");
+      label.className = "theme-menu-label";
+      label.textContent = theme.label;
+
+      item.append(icon, label);
+      listItem.appendChild(item);
+      menu.appendChild(listItem);
     });
 
-    this.log("Theme toggle button configured");
+    this.updateThemePicker(this.getCurrentTheme());
   }
 
   /**
-   * Update theme toggle button appearance
+   * Update theme picker button and menu for the active theme and mode
    * @param {string} theme - Current theme
    */
-  updateThemeToggleButton(theme) {
-    const button = document.querySelector(".theme-toggle-btn");
-    if (!button) return;
+  updateThemePicker(theme) {
+    if (!this.picker) return;
+
+    const definition = this.registry.get(theme);
+    const { button, menu } = this.picker;
+    const automatic = [this.systemMode, this.scheduleMode].find((mode) => mode.name === this.mode);
+
+    const icon = button.querySelector(".theme-icon");
+    if (icon) {
+      icon.textContent = definition.icon;
+    }
+
+    const label = automatic ? `Theme: ${automatic.label} (${definition.label})` : `Theme: ${definition.label}`;
+    button.setAttribute("aria-label", label);
+    button.setAttribute("title", `${label} - ${this.toggleShortcut} cycles light, dark and system`);
+
+    menu.querySelectorAll(this.selectors.item).forEach((item) => {
+      item.setAttribute("aria-checked", String(item.dataset.themeOption === this.mode));
+    });
+  }
+
+  /**
+   * Open the theme menu and focus one of its items
+   * @param {number} [index] - Item to focus (negative counts from the end); defaults to the active theme
+   */
+  openThemeMenu(index) {
+    if (!this.picker) return;
+
+    const { button, menu } = this.picker;
+    const items = Array.from(menu.querySelectorAll(this.selectors.item));
+
+    menu.hidden = false;
+    button.setAttribute("aria-expanded", "true");
+    document.addEventListener("click", this.handleThemeOutsideClick);
+
+    const target =
+      index === undefined
+        ? items.find((item) => item.getAttribute("aria-checked") === "true")
+        : items[(index + items.length) % items.length];
+    (target || items[0])?.focus();
+  }
+
+  /**
+   * Close the theme menu
+   * @param {boolean} [restoreFocus=false] - Move focus back to the picker button
+   */
+  closeThemeMenu(restoreFocus = false) {
+    document.removeEventListener("click", this.handleThemeOutsideClick);
+
+    if (!this.picker || this.picker.menu.hidden) return;
+
+    const { button, menu } = this.picker;
+    menu.hidden = true;
+    button.setAttribute("aria-expanded", "false");
+
+    if (restoreFocus) {
+      button.focus();
+    }
+  }
+
+  /**
+   * Keyboard navigation inside the open theme menu
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  handleThemeMenuKeydown(event) {
+    const items = Array.from(this.picker.menu.querySelectorAll(this.selectors.item));
+    const index = items.indexOf(document.activeElement);
+
+    switch (event.key) {
+      case "ArrowDown":
+        items[(index + 1) % items.length].focus();
+        break;
+      case "ArrowUp":
+        items[(index - 1 + items.length) % items.length].focus();
+        break;
+      case "Home":
+        items[0].focus();
+        break;
+      case "End":
+        items[items.length - 1].focus();
+        break;
+      case "Escape":
+        this.closeThemeMenu(true);
+        break;
+      case "Tab":
+        this.closeThemeMenu();
+        return;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+  }
+
+  // === THEME SCHEDULE ===
+
+  /**
+   * Validate the `schedule` option
+   * @param {Object} schedule - Schedule option
+   * @returns {{light: number, dark: number}|{latitude: number, longitude: number}} Switch times in
+   *   minutes after midnight, or the location to calculate sunrise and sunset for
+   * @throws {TypeError} If the schedule is invalid
+   */
+  normalizeSchedule(schedule) {
+    if (typeof schedule !== "object" || schedule === null) {
+      throw new TypeError("options.schedule must be an object");
+    }
+
+    if (schedule.latitude !== undefined || schedule.longitude !== undefined) {
+      const { latitude, longitude } = schedule;
+      if (!Number.isFinite(latitude) || Math.abs(latitude) > 90) {
+        throw new TypeError("options.schedule.latitude must be a number from -90 to 90");
+      }
+      if (!Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+        throw new TypeError("options.schedule.longitude must be a number from -180 to 180");
+      }
+      return Object.freeze({ latitude, longitude });
+    }
+
+    const toMinutes = (value, name) => {
+      const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(value);
+      if (!match) {
+        throw new TypeError(`options.schedule.${name} must be a time like "07:30"`);
+      }
+      return Number(match[1]) * 60 + Number(match[2]);
+    };
+
+    const light = toMinutes(schedule.light || "07:00", "light");
+    const dark = toMinutes(schedule.dark || "19:00", "dark");
+    if (light === dark) {
+      throw new TypeError("options.schedule light and dark times must differ");
+    }
+
+    return Object.freeze({ light, dark });
+  }
+
+  /**
+   * Get the theme the schedule calls for at a given time
+   * @param {Date} [now=new Date()] - Time to check
+   * @returns {string} Light or dark theme
+   */
+  getScheduledTheme(now = new Date()) {
+    const { LIGHT, DARK } = this.themes;
+
+    if (this.schedule.latitude !== undefined) {
+      const noon = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 12);
+      const sun = getSunTimes(noon, this.schedule.latitude, this.schedule.longitude);
+      if (sun.polar) {
+        return sun.polar === "day" ? LIGHT : DARK;
+      }
+      return now >= sun.sunrise && now < sun.sunset ? LIGHT : DARK;
+    }
+
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const { light, dark } = this.schedule;
+    // A light time after the dark time means the light period runs over midnight
+    const isLight = light < dark ? minutes >= light && minutes < dark : minutes >= light || minutes < dark;
+
+    return isLight ? LIGHT : DARK;
+  }
+
+  /**
+   * Get the time of the next scheduled switch between light and dark
+   * @param {Date} [now=new Date()] - Time to start from
+   * @returns {Date} Next switch, or the next midnight when the sun neither rises nor sets before then
+   */
+  getNextScheduledSwitch(now = new Date()) {
+    const day = (offset, hours, minutes = 0) =>
+      new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset, hours, minutes);
+
+    // Yesterday too, in case the page's time zone is behind the configured location
+    const switches = [-1, 0, 1].flatMap((offset) => {
+      if (this.schedule.latitude === undefined) {
+        const { light, dark } = this.schedule;
+        return [light, dark].map((minutes) => day(offset, Math.floor(minutes / 60), minutes % 60));
+      }
+
+      const sun = getSunTimes(day(offset, 12), this.schedule.latitude, this.schedule.longitude);
+      return sun.polar ? [] : [sun.sunrise, sun.sunset];
+    });
+
+    const upcoming = switches.filter((time) => time > now).sort((a, b) => a - b);
+    return upcoming[0] || day(1, 0);
+  }
+
+  /**
+   * Set a timer for the next scheduled switch
+   */
+  scheduleNextSwitch() {
+    this.clearScheduleTimer();
+
+    const next = this.getNextScheduledSwitch();
+    this.log(`Next scheduled theme switch: ${next.toLocaleString()}`);
+
+    this.scheduleTimer = setTimeout(() => {
+      this.scheduleTimer = null;
+      this.applyScheduledTheme();
+    }, Math.max(0, next.getTime() - Date.now()));
+  }
+
+  /**
+   * Stop the scheduled switch timer
+   */
+  clearScheduleTimer() {
+    if (this.scheduleTimer !== null) {
+      clearTimeout(this.scheduleTimer);
+      this.scheduleTimer = null;
+    }
+  }
 
-    // Update button title/aria-label
-    const newLabel = theme === this.themes.DARK ? "Switch to light mode" : "Switch to dark mode";
-    button.setAttribute("aria-label", newLabel);
-    button.setAttribute("title", newLabel);
+  /**
+   * Apply the scheduled theme if it has changed and set the next timer (auto-schedule mode only)
+   */
+  applyScheduledTheme() {
+    if (this.mode !== this.scheduleMode.name) return;
+
+    const theme = this.getScheduledTheme();
+    if (theme !== this.getCurrentTheme()) {
+      this.log(`Scheduled theme switch to: ${theme}`);
+      this.applyTheme(theme);
+    }
+
+    this.scheduleNextSwitch();
+  }
+
+  /**
+   * Re-check the schedule when the page becomes visible, as timers don't run while a device sleeps
+   */
+  setupScheduleListener() {
+    if (!this.schedule) return;
+
+    document.addEventListener("visibilitychange", this.handleVisibilityChange);
+
+    this.log("Theme schedule listener configured");
+  }
+
+  /**
+   * Apply the scheduled theme when the page becomes visible again
+   */
+  handleVisibilityChange() {
+    if (document.visibilityState === "visible") {
+      this.applyScheduledTheme();
+    }
   }
 
   /**
@@ -1149,8 +5779,10 @@ class ThemeController {
   setupSystemThemeListener() {
     if (!window.matchMedia) return;
 
-    const mediaQuery = window.matchMedia("(prefers-color-scheme: dark)");
-    mediaQuery.addEventListener("change", this.handleSystemThemeChange);
+    if (this.systemQuery) return;
+
+    this.systemQuery = window.matchMedia("(prefers-color-scheme: dark)");
+    this.systemQuery.addEventListener("change", this.handleSystemThemeChange);
 
     this.log("System theme listener configured");
   }
@@ -1160,59 +5792,80 @@ class ThemeController {
    * @param {MediaQueryListEvent} event - Media query change event
    */
   handleSystemThemeChange(event) {
-    // Only respond to system changes if user hasn't set a manual preference
-    const savedTheme = this.getSavedTheme();
-    if (savedTheme) {
+    // Only respond to system changes in system mode
+    if (this.mode !== this.systemMode.name) {
       this.log("Ignoring system theme change - user has manual preference");
       return;
     }
 
     const newSystemTheme = event.matches ? this.themes.DARK : this.themes.LIGHT;
     this.log(`System theme changed to: ${newSystemTheme}`);
-    this.setTheme(newSystemTheme);
+    this.applyTheme(newSystemTheme);
   }
 
   /**
    * Reset theme to system preference
+   *
+   * Same as `setTheme("system")`.
    */
   resetToSystemTheme() {
-    try {
-      localStorage.removeItem(this.storageKey);
-      const systemTheme = this.getSystemTheme();
-      this.setTheme(systemTheme);
-      this.log("Theme reset to system preference");
-    } catch (error) {
-      console.warn("Could not reset theme:", error);
-    }
+    this.setTheme(this.systemMode.name);
   }
 }
 
 // === INITIALIZATION ===
 
 /**
- * Initialize portfolio when DOM is ready with comprehensive error handling
+ * Create and start a portfolio and theme controller
+ *
+ * Unlike {@link initializePortfolio} this writes no globals and shows no error UI, so the
+ * controllers can be embedded in other pages or tests.
+ *
+ * @function createPortfolio
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.debug=false] - Debug logging for both controllers
+ * @param {Object} [options.portfolio] - PortfolioController options
+ * @param {Object} [options.theme] - ThemeController options
+ * @param {boolean} [options.serviceWorker=false] - Register the offline service worker
+ * @param {AbortSignal} [options.signal] - Cancels data loading
+ * @returns {{portfolio: PortfolioController, theme: ThemeController, ready: Promise<void>}} The
+ *   controllers and a promise that settles once the page is built (rejecting like
+ *   {@link PortfolioController#init})
+ *
+ * @example
+ * const { portfolio, ready } = createPortfolio({ debug: true });
+ * ready.catch(() => portfolio.refresh());
+ */
+function createPortfolio(options = {}) {
+  const debug = Boolean(options.debug);
+  const portfolio = new PortfolioController({ debug, ...options.portfolio });
+  const theme = new ThemeController({ debug, ...options.theme });
+
+  if (options.serviceWorker) {
+    registerServiceWorker();
+  }
+
+  theme.init();
+  const ready = portfolio.init({ signal: options.signal });
+
+  return { portfolio, theme, ready };
+}
+
+/**
+ * Start the portfolio site
  *
- * This function serves as the main entry point for the portfolio application.
- * It performs environment checks, prevents duplicate initialization, creates
- * the global portfolio controller instance, and provides user-friendly error
- * handling with visual feedback.
+ * Runs when main.js is loaded with `data-autoinit` and the DOM is ready. Creates the
+ * controllers with {@link createPortfolio}, exposes them as `window.portfolioController` and
+ * `window.themeController`, registers the service worker and shows a "Try again" toast if
+ * loading fails.
  *
  * @function initializePortfolio
  * @global
  * @since 1.0.0
  * @author Brett Whitson
  *
- * @description
- * - Checks for browser environment compatibility
- * - Prevents duplicate initialization attempts
- * - Creates global PortfolioController instance with debug enabled
- * - Provides visual error notifications for users
- * - Handles both synchronous and asynchronous initialization errors
- *
  * @example
- * // Function is called automatically when DOM loads
- * // Manual call (if needed):
- * initializePortfolio();
+ * <script src="/javascript/main.js" data-autoinit></script>
  *
  * @example
  * // Access the global controller after initialization
@@ -1221,19 +5874,10 @@ class ThemeController {
  *   await window.portfolioController.refresh();
  * }
  *
- * @throws {Error} Critical initialization errors are logged but don't stop execution
- *
- * @see {@link PortfolioController} Main controller class
- * @see {@link PortfolioController#init} Controller initialization method
+ * @see {@link createPortfolio} Starting the controllers without globals
  */
 function initializePortfolio() {
   try {
-    // Check if we're in a browser environment
-    if (typeof window === "undefined" || typeof document === "undefined") {
-      console.warn("Portfolio: Not in browser environment, skipping initialization");
-      return;
-    }
-
     // Check if already initialized
     if (window.portfolioController) {
       console.log("Portfolio: Already initialized");
@@ -1247,63 +5891,155 @@ function initializePortfolio() {
       ? urlParams.get("debug") !== "false" // ?debug or ?debug=true enables, ?debug=false disables
       : isLocalhost; // Default to true on localhost, false in production
 
-    // Create global portfolio controller instance
-    window.portfolioController = new PortfolioController({
-      debug: debugMode,
-    });
-
-    // Create global theme controller instance
-    window.themeController = new ThemeController({
-      debug: debugMode,
-    });
+    const { portfolio, theme, ready } = createPortfolio({ debug: debugMode, serviceWorker: true });
 
-    // Initialize both controllers
-    const initPromises = [
-      window.portfolioController.init(),
-      Promise.resolve(window.themeController.init()), // Theme controller init is synchronous
-    ];
+    window.portfolioController = portfolio;
+    window.themeController = theme;
 
-    Promise.all(initPromises).catch((error) => {
+    ready.catch((error) => {
       console.error("Failed to initialize portfolio:", error);
-
-      // Attempt to show user-friendly error
-      const errorMessage = document.createElement("div");
-      errorMessage.style.cssText = `
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        background: #ff4444;
-        color: white;
-        padding: 12px;
-        border-radius: 4px;
-        z-index: 9999;
-        font-family: monospace;
-        max-width: 300px;
-      `;
-      errorMessage.textContent = `Portfolio failed to load: ${error.message}`;
-      document.body.appendChild(errorMessage);
-
-      // Auto-remove error after 10 seconds
-      setTimeout(() => {
-        if (errorMessage.parentNode) {
-          errorMessage.parentNode.removeChild(errorMessage);
-        }
-      }, 10000);
+      showLoadError(error);
     });
   } catch (error) {
     console.error("Critical error during portfolio initialization:", error);
   }
 }
 
-// Initialize when DOM is ready
-if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", initializePortfolio);
-} else {
-  // DOM is already ready
-  initializePortfolio();
+/**
+ * Get a user-facing description of a portfolio loading error
+ *
+ * @function describeLoadError
+ * @global
+ * @param {Error} error - Error thrown by PortfolioController#init
+ * @returns {string} Message suited to the kind of failure
+ */
+function describeLoadError(error) {
+  if (error instanceof DataTimeoutError) {
+    return "The portfolio is taking too long to load. Check your connection and try again.";
+  }
+  if (error instanceof DataHttpError) {
+    return error.status >= 500
+      ? "The server had a problem loading the portfolio. Please try again shortly."
+      : `The portfolio content could not be found (HTTP ${error.status}).`;
+  }
+  if (error instanceof DataParseError || error instanceof DataValidationError) {
+    return "The portfolio content is malformed and could not be displayed.";
+  }
+  if (error instanceof DataNetworkError) {
+    return "Could not reach the server. Check your connection and try again.";
+  }
+  return `Portfolio failed to load: ${error.message}`;
+}
+
+/**
+ * Show a loading error toast with a "Try again" action that calls PortfolioController#refresh
+ *
+ * @function showLoadError
+ * @global
+ * @param {Error} error - Error thrown by PortfolioController#init
+ */
+function showLoadError(error) {
+  // Attempt to show user-friendly error
+  const errorMessage = document.createElement("div");
+  errorMessage.setAttribute("role", "alert");
+  errorMessage.style.cssText = `
+    position: fixed;
+    top: 20px;
+    right: 20px;
+    background: #ff4444;
+    color: white;
+    padding: 12px;
+    border-radius: 4px;
+    z-index: 9999;
+    font-family: monospace;
+    max-width: 300px;
+  `;
+
+  const text = document.createElement("p");
+  text.style.margin = "0 0 8px";
+  text.textContent = describeLoadError(error);
+  errorMessage.appendChild(text);
+
+  const retryButton = document.createElement("button");
+  retryButton.type = "button";
+  retryButton.textContent = "Try again";
+  retryButton.style.cssText = "font: inherit; cursor: pointer;";
+  retryButton.addEventListener("click", () => {
+    clearTimeout(dismissTimer);
+    errorMessage.remove();
+    window.portfolioController.refresh().catch((retryError) => {
+      console.error("Failed to reload portfolio:", retryError);
+      showLoadError(retryError);
+    });
+  });
+  errorMessage.appendChild(retryButton);
+
+  document.body.appendChild(errorMessage);
+
+  // Auto-remove error after 10 seconds
+  const dismissTimer = setTimeout(() => {
+    if (errorMessage.parentNode) {
+      errorMessage.parentNode.removeChild(errorMessage);
+    }
+  }, 10000);
+}
+
+/**
+ * Register the offline service worker
+ *
+ * Skipped where service workers are unsupported or the page isn't served over HTTP(S)
+ * (e.g. opened from the file system).
+ *
+ * @function registerServiceWorker
+ * @global
+ * @returns {Promise<ServiceWorkerRegistration|null>} The registration, or null if skipped or failed
+ */
+function registerServiceWorker() {
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator) || !/^https?:$/.test(window.location.protocol)) {
+    return Promise.resolve(null);
+  }
+
+  return navigator.serviceWorker.register("/sw.js").catch((error) => {
+    console.warn("Portfolio: Service worker registration failed:", error);
+    return null;
+  });
+}
+
+/**
+ * Public API of this file
+ * @namespace Portfolio
+ */
+const Portfolio = Object.freeze({
+  PortfolioController,
+  ThemeController,
+  PdfViewer,
+  DomBuilder,
+  createPortfolio,
+  initializePortfolio,
+  PortfolioError,
+  DataTimeoutError,
+  DataNetworkError,
+  DataHttpError,
+  DataParseError,
+  DataValidationError,
+});
+
+if (typeof window !== "undefined") {
+  window.Portfolio = Portfolio;
+
+  // Opt-in start-up: <script src="/javascript/main.js" data-autoinit></script>
+  const script = document.currentScript;
+
+  if (script && script.hasAttribute("data-autoinit")) {
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", initializePortfolio);
+    } else {
+      initializePortfolio();
+    }
+  }
 }
 
 // Export for module systems
 if (typeof module !== "undefined" && module.exports) {
-  module.exports = PortfolioController;
+  module.exports = Portfolio;
 }
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview ES module entry for the portfolio controllers
+ * @description Loads main.js, which has no side effects without `data-autoinit`, and re-exports
+ * its API so the controllers can be imported into other pages.
+ *
+ * @author Brett Whitson
+ * @license MIT
+ *
+ * @requires BuilderJS - Optional; without builder.js pages render with the built-in DomBuilder
+ *
+ * @example
+ * import { createPortfolio } from "/javascript/main.mjs";
+ *
+ * const { portfolio, theme, ready } = createPortfolio({ portfolio: { dataUrl: "/data/data.json" } });
+ * await ready;
+ */
+
+import "./main.js";
+
+export const {
+  PortfolioController,
+  ThemeController,
+  PdfViewer,
+  DomBuilder,
+  createPortfolio,
+  initializePortfolio,
+  PortfolioError,
+  DataTimeoutError,
+  DataNetworkError,
+  DataHttpError,
+  DataParseError,
+  DataValidationError,
+} = window.Portfolio;
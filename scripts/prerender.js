@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Pre-render the portfolio into static HTML
+ * @description Loads index.html into jsdom, runs BuilderJS and javascript/main.js against the
+ * local data files and writes the built page back out, so crawlers and visitors without
+ * JavaScript get the full content. The content container is stamped with `data-prerendered`;
+ * in the browser PortfolioController finds the stamp and attaches its listeners to the existing
+ * markup instead of rebuilding it, or rebuilds if the data has changed since. The stamp also
+ * records the month, because the tenure of ongoing timeline roles counts up to it, so re-run the
+ * script at least monthly (e.g. on deploy) to keep serving pre-rendered content.
+ *
+ * Usage:
+ *   node scripts/prerender.js [--in index.html] [--out index.html] [--url https://example.com/]
+ *                             [--locale es] [--builder path/to/builder.js] [--debug]
+ *
+ * Without `--builder`, BuilderJS is downloaded from the `<script>` URL in the page; if that fails
+ * the page is rendered with main.js's built-in DomBuilder. YAML data is parsed with the js-yaml
+ * package from the dependencies. Running the script again on its own output replaces the previous
+ * pre-render.
+ *
+ * @author Brett Whitson
+ * @license MIT
+ */
+
+"use strict";
+
+const fs = require("fs/promises");
+const path = require("path");
+const { parseArgs } = require("util");
+const { JSDOM } = require("jsdom");
+
+/**
+ * Repository root, which the page's URLs resolve against
+ * @type {string}
+ */
+const ROOT = path.resolve(__dirname, "..");
+
+/**
+ * Content types served to the page by extension
+ * @type {Object<string, string>}
+ */
+const CONTENT_TYPES = {
+  ".json": "application/json",
+  ".yaml": "application/yaml",
+  ".yml": "application/yaml",
+};
+
+/**
+ * Read the command line options
+ * @returns {{in: string, out: string, url: string, locale?: string, builder?: string, debug: boolean}}
+ */
+function getOptions() {
+  const { values } = parseArgs({
+    options: {
+      in: { type: "string", default: "index.html" },
+      out: { type: "string" },
+      url: { type: "string", default: "http://localhost/" },
+      locale: { type: "string" },
+      builder: { type: "string" },
+      debug: { type: "boolean", default: false },
+    },
+  });
+
+  return { ...values, out: values.out || values.in };
+}
+
+/**
+ * Serve same-origin requests from the repository, like the static host would
+ * @param {string} origin - Origin of the page
+ * @returns {Function} `fetch` replacement for the page
+ */
+function createFetch(origin) {
+  return async (input) => {
+    const url = new URL(String(input), origin);
+
+    if (url.origin !== origin) {
+      throw new TypeError(`Pre-render can't fetch ${url.href}`);
+    }
+
+    const file = path.join(ROOT, decodeURIComponent(url.pathname));
+    if (!file.startsWith(ROOT + path.sep)) {
+      return new Response(null, { status: 403, statusText: "Forbidden" });
+    }
+
+    try {
+      const body = await fs.readFile(file);
+      const type = CONTENT_TYPES[path.extname(file)] || "application/octet-stream";
+      return new Response(body, { status: 200, headers: { "content-type": type } });
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return new Response(null, { status: 404, statusText: "Not Found" });
+      }
+      throw error;
+    }
+  };
+}
+
+/**
+ * Get the BuilderJS source, from a local file or the page's CDN script
+ * @param {Document} document - Page document
+ * @param {string} [file] - Local copy of builder.js
+ * @returns {Promise<string>}
+ * @throws {Error} If no BuilderJS script is found or it can't be downloaded
+ */
+async function loadBuilderSource(document, file) {
+  if (file) {
+    return fs.readFile(path.resolve(file), "utf8");
+  }
+
+  const script = Array.from(document.scripts).find((element) => /builder/i.test(element.src));
+  if (!script) {
+    throw new Error("No BuilderJS <script> in the page; pass --builder");
+  }
+
+  const response = await fetch(script.src).catch((error) => {
+    throw new Error(`Failed to download BuilderJS from ${script.src} (${error.message})`);
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to download BuilderJS from ${script.src} (HTTP ${response.status})`);
+  }
+
+  return response.text();
+}
+
+/**
+ * Pre-render the page
+ * @param {Object} options - See {@link getOptions}
+ * @returns {Promise<void>}
+ */
+async function prerender(options) {
+  const input = path.resolve(ROOT, options.in);
+  const output = path.resolve(ROOT, options.out);
+  const url = new URL(options.url);
+
+  if (options.locale) {
+    url.searchParams.set("lang", options.locale);
+  }
+
+  const html = await fs.readFile(input, "utf8");
+  const dom = new JSDOM(html, { url: url.href, runScripts: "outside-only", pretendToBeVisual: true });
+  const { window } = dom;
+
+  window.fetch = createFetch(url.origin);
+  window.matchMedia = (query) => ({
+    matches: false,
+    media: query,
+    addEventListener() {},
+    removeEventListener() {},
+    addListener() {},
+    removeListener() {},
+  });
+
+  try {
+    try {
+      // Each eval is its own script scope, so hand Builder over as a property
+      window.eval(`${await loadBuilderSource(window.document, options.builder)}\n;window.Builder = Builder;`);
+    } catch (error) {
+      if (options.builder) throw error;
+      console.warn(`${error.message}; rendering with the built-in DomBuilder`);
+    }
+    // The YAML data adapter loads js-yaml with a <script>, which jsdom doesn't run here
+    window.jsyaml = require("js-yaml");
+    // Evaluated without a <script data-autoinit>, so main.js only defines window.Portfolio
+    window.eval(await fs.readFile(path.join(ROOT, "javascript/main.js"), "utf8"));
+
+    const { PortfolioController } = window.Portfolio;
+    const controller = new PortfolioController({ debug: options.debug });
+
+    // Start from empty containers when re-rendering an already pre-rendered page
+    controller.cacheDOMElements();
+    controller.clearContent();
+    controller.getDOM().content.removeAttribute("data-prerendered");
+
+    await controller.init();
+
+    controller.getDOM().content.setAttribute("data-prerendered", controller.getRenderStamp());
+
+    await fs.writeFile(output, dom.serialize());
+    console.log(`Pre-rendered ${controller.getData().sections.length} sections to ${path.relative(ROOT, output)}`);
+  } finally {
+    window.close();
+  }
+}
+
+prerender(getOptions()).catch((error) => {
+  console.error("Pre-render failed:", error);
+  process.exitCode = 1;
+});
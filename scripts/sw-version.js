@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Stamp sw.js with a cache version derived from the files it precaches
+ * @description The service worker's cache name includes `CACHE_VERSION`, a hash of every file in
+ * `PRECACHE_URLS`. Changing any of them changes sw.js, so browsers install the new worker, which
+ * precaches fresh copies and deletes the old cache. Run this after changing a precached file (or
+ * `npm run prerender`, which rewrites index.html) and commit sw.js with it.
+ *
+ * Usage:
+ *   node scripts/sw-version.js [--check]
+ *
+ * `--check` only reports whether the stamped version is current, exiting with 1 when it isn't.
+ *
+ * @author Brett Whitson
+ * @license MIT
+ */
+
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * Repository root, which precached URLs resolve against
+ * @type {string}
+ */
+const ROOT = path.resolve(__dirname, "..");
+
+/**
+ * Path of the service worker
+ * @type {string}
+ */
+const SW_FILE = path.join(ROOT, "sw.js");
+
+/**
+ * Matches the version declaration in sw.js
+ * @type {RegExp}
+ */
+const VERSION_PATTERN = /const CACHE_VERSION = "([^"]*)";/;
+
+/**
+ * Read the precached URLs from sw.js
+ * @param {string} source - sw.js source
+ * @returns {string[]}
+ * @throws {Error} If sw.js has no PRECACHE_URLS array
+ */
+function getPrecacheUrls(source) {
+  const list = source.match(/const PRECACHE_URLS = \[([^\]]*)\];/);
+  if (!list) {
+    throw new Error("No PRECACHE_URLS array in sw.js");
+  }
+
+  return Array.from(list[1].matchAll(/"([^"]+)"/g), (match) => match[1]);
+}
+
+/**
+ * Hash the files sw.js precaches
+ * @param {string} source - sw.js source
+ * @returns {Promise<string>} First 12 hex digits of a SHA-256 over every file
+ */
+async function getCacheVersion(source) {
+  const hash = crypto.createHash("sha256");
+
+  for (const url of getPrecacheUrls(source)) {
+    // "/" is served as index.html
+    const file = path.join(ROOT, url === "/" ? "index.html" : decodeURIComponent(url));
+    hash.update(url);
+    hash.update(await fs.readFile(file));
+  }
+
+  return hash.digest("hex").slice(0, 12);
+}
+
+/**
+ * Compare the stamped version with the files and update sw.js unless only checking
+ * @param {{check: boolean}} options - `check` leaves sw.js untouched
+ * @returns {Promise<boolean>} Whether the stamped version was already current
+ */
+async function stamp(options) {
+  const source = await fs.readFile(SW_FILE, "utf8");
+  const stamped = source.match(VERSION_PATTERN);
+  if (!stamped) {
+    throw new Error("No CACHE_VERSION declaration in sw.js");
+  }
+
+  const version = await getCacheVersion(source);
+  if (stamped[1] === version) {
+    console.log(`sw.js cache version ${version} is current`);
+    return true;
+  }
+
+  if (options.check) {
+    console.error(`sw.js cache version ${stamped[1]} is stale (expected ${version}); run npm run sw-version`);
+  } else {
+    await fs.writeFile(SW_FILE, source.replace(VERSION_PATTERN, `const CACHE_VERSION = "${version}";`));
+    console.log(`Stamped sw.js with cache version ${version}`);
+  }
+  return false;
+}
+
+module.exports = { getCacheVersion, getPrecacheUrls, VERSION_PATTERN, SW_FILE };
+
+if (require.main === module) {
+  const check = process.argv.includes("--check");
+
+  stamp({ check })
+    .then((current) => {
+      if (check && !current) process.exitCode = 1;
+    })
+    .catch((error) => {
+      console.error("Stamping sw.js failed:", error.message);
+      process.exitCode = 1;
+    });
+}
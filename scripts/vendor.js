@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Copy third-party browser builds into javascript/vendor
+ * @description The site is served as static files with no bundler, so libraries main.js loads on
+ * first use are committed under javascript/vendor and served from the site's own origin instead of
+ * a CDN. Their versions are pinned in package.json; after changing one, run `npm install` and then
+ * this script, and commit the copied files.
+ *
+ * Usage:
+ *   node scripts/vendor.js
+ *
+ * @author Brett Whitson
+ * @license MIT
+ */
+
+"use strict";
+
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * Repository root
+ * @type {string}
+ */
+const ROOT = path.resolve(__dirname, "..");
+
+/**
+ * Directory the files are copied to
+ * @type {string}
+ */
+const VENDOR_DIR = path.join(ROOT, "javascript/vendor");
+
+/**
+ * Files to copy, as package-relative source paths by vendored file name
+ * @type {Object<string, string>}
+ */
+const FILES = {
+  "js-yaml.min.js": "js-yaml/dist/js-yaml.min.js",
+  "pdf.min.js": "pdfjs-dist/build/pdf.min.js",
+  "pdf.worker.min.js": "pdfjs-dist/build/pdf.worker.min.js",
+};
+
+/**
+ * Copy every vendored file from node_modules
+ * @returns {Promise<void>}
+ * @throws {Error} If a package isn't installed
+ */
+async function vendor() {
+  await fs.mkdir(VENDOR_DIR, { recursive: true });
+
+  for (const [name, source] of Object.entries(FILES)) {
+    // Read from the package directory, since "exports" maps can hide dist files from require.resolve
+    const [packageName, ...rest] = source.split("/");
+    const packageDir = path.join(ROOT, "node_modules", packageName);
+    const { version } = JSON.parse(await fs.readFile(path.join(packageDir, "package.json"), "utf8"));
+
+    await fs.copyFile(path.join(packageDir, ...rest), path.join(VENDOR_DIR, name));
+    console.log(`Copied ${source} (${version}) to ${path.relative(ROOT, path.join(VENDOR_DIR, name))}`);
+  }
+}
+
+vendor().catch((error) => {
+  console.error("Vendoring failed:", error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Service worker providing offline support for the portfolio site
+ * @description Precaches the site shell, styles, scripts, data and resume so the portfolio keeps
+ * working offline. Data files are served network-first, so online visitors always see the
+ * deployed content; everything else is served stale-while-revalidate: the cached copy answers
+ * immediately while a network fetch refreshes the cache in the background.
+ *
+ * Responses stored in the cache carry an `sw-cached-at` header with the time they were cached,
+ * which PortfolioController reads to show when offline content was last updated.
+ *
+ * @author Brett Whitson
+ * @license MIT
+ */
+
+/**
+ * Hash of the precached files, stamped by scripts/sw-version.js (`npm run sw-version`) - any
+ * change makes browsers install this worker again, which replaces the cache
+ * @type {string}
+ */
+const CACHE_VERSION = "3ce076c53fab";
+
+/**
+ * Cache name - old caches are dropped when a new version activates
+ * @type {string}
+ */
+const CACHE_NAME = `portfolio-${CACHE_VERSION}`;
+
+/**
+ * Header recording when a cached response was stored
+ * @type {string}
+ */
+const CACHED_AT_HEADER = "sw-cached-at";
+
+/**
+ * Files cached when the service worker installs
+ * @type {string[]}
+ */
+const PRECACHE_URLS = [
+  "/",
+  "/index.html",
+  "/styles/min/styles.min.css",
+  "/javascript/main.js",
+  "/data/data.json",
+  "/data/images/me.jpg",
+  "/data/whitson_resume_25.pdf",
+  "/favicon.ico",
+];
+
+/**
+ * Cross-origin hosts whose responses are cached at runtime (BuilderJS, devicons)
+ * @type {string[]}
+ */
+const RUNTIME_CACHE_HOSTS = ["cdn.jsdelivr.net"];
+
+/**
+ * Copy a response into one stamped with the time it was cached
+ *
+ * Opaque cross-origin responses can't be read, so they are stored unchanged.
+ * @param {Response} response - Network response
+ * @returns {Promise<Response>} Response to store in the cache
+ */
+async function stampResponse(response) {
+  if (response.type === "opaque") {
+    return response;
+  }
+
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, new Date().toUTCString());
+
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
+
+/**
+ * Fetch a request from the network and store a successful response in the cache
+ * @param {Cache} cache - Open cache
+ * @param {Request} request - Request to fetch
+ * @returns {Promise<Response>} Network response
+ */
+async function fetchAndCache(cache, request) {
+  const response = await fetch(request);
+
+  if (response.ok || response.type === "opaque") {
+    await cache.put(request, await stampResponse(response.clone()));
+  }
+
+  return response;
+}
+
+/**
+ * Check whether a request is for a data file, which is served network-first
+ * @param {Request} request - Intercepted request
+ * @returns {boolean}
+ */
+function isDataRequest(request) {
+  const url = new URL(request.url);
+  return url.origin === self.location.origin && /^\/data\/.*\.(json|ya?ml)$/i.test(url.pathname);
+}
+
+/**
+ * Check whether a request should be handled by the service worker
+ * @param {Request} request - Intercepted request
+ * @returns {boolean}
+ */
+function isCacheable(request) {
+  if (request.method !== "GET") {
+    return false;
+  }
+
+  const url = new URL(request.url);
+  return url.origin === self.location.origin || RUNTIME_CACHE_HOSTS.includes(url.hostname);
+}
+
+/**
+ * Serve a request stale-while-revalidate
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Cached response if present, otherwise the network response
+ */
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(CACHE_NAME);
+
+  // Navigations like /?lang=es or /?debug should still find the cached shell
+  const cached = await cache.match(request, { ignoreSearch: request.mode === "navigate" });
+  const network = fetchAndCache(cache, request);
+
+  if (cached) {
+    event.waitUntil(
+      network.catch((error) => {
+        console.warn(`Service worker: could not revalidate ${request.url}`, error);
+      })
+    );
+    return cached;
+  }
+
+  return network;
+}
+
+/**
+ * Serve a request from the network, falling back to the cache when offline
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Network response, or the cached one if the network fails
+ */
+async function networkFirst(event) {
+  const { request } = event;
+  const cache = await caches.open(CACHE_NAME);
+
+  try {
+    return await fetchAndCache(cache, request);
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => Promise.all(PRECACHE_URLS.map((url) => fetchAndCache(cache, new Request(url, { cache: "reload" })))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  if (!isCacheable(event.request)) {
+    return;
+  }
+
+  event.respondWith(isDataRequest(event.request) ? networkFirst(event) : staleWhileRevalidate(event));
+});
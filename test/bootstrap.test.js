@@ -0,0 +1,113 @@
+"use strict";
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment, readData } = require("./helpers/environment");
+
+describe("main.js bootstrap", () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  it("only defines the API when loaded without data-autoinit", async () => {
+    env = createEnvironment();
+    await env.wait(10);
+
+    assert.deepEqual(Object.keys(env.window.Portfolio).sort(), [
+      "DataHttpError",
+      "DataNetworkError",
+      "DataParseError",
+      "DataTimeoutError",
+      "DataValidationError",
+      "DomBuilder",
+      "PdfViewer",
+      "PortfolioController",
+      "PortfolioError",
+      "ThemeController",
+      "createPortfolio",
+      "initializePortfolio",
+    ]);
+    assert.equal(env.window.portfolioController, undefined);
+    assert.equal(env.fetch.calls.length, 0);
+    assert.equal(env.document.documentElement.hasAttribute("data-theme"), false);
+  });
+
+  it("starts the site when loaded with data-autoinit", async () => {
+    env = createEnvironment({ autoInit: true });
+    await env.wait(50);
+
+    assert.ok(env.window.portfolioController instanceof env.window.Portfolio.PortfolioController);
+    assert.ok(env.window.themeController instanceof env.window.Portfolio.ThemeController);
+    assert.equal(env.document.querySelectorAll("#content > .section").length, readData().sections.length);
+  });
+
+  it("shows a retry toast when the site fails to load", async () => {
+    env = createEnvironment({ autoInit: true, routes: { "/data/data.json": { status: 404 } } });
+    await env.wait(50);
+
+    const toast = env.document.querySelector("[role='alert']");
+    assert.match(toast.textContent, /could not be found \(HTTP 404\)/);
+  });
+
+  it("reports only failed requests as connection problems", async () => {
+    env = createEnvironment();
+    const toast = (error) => {
+      env.window.eval(`showLoadError(${error})`);
+      const alert = env.document.querySelector("[role='alert']");
+      alert.remove();
+      return alert.textContent;
+    };
+
+    assert.match(
+      toast("new Portfolio.DataNetworkError('/data/data.json', new TypeError('Failed to fetch'))"),
+      /Could not reach the server/
+    );
+    assert.match(toast("new TypeError('x is not a function')"), /failed to load: x is not a function/);
+  });
+
+  it("removes the load error toast after 10 seconds", async () => {
+    env = createEnvironment();
+    const timers = [];
+    env.window.setTimeout = (callback, ms) => timers.push({ callback, ms });
+
+    env.window.eval("showLoadError(new Error('Offline'))");
+    assert.ok(env.document.querySelector("[role='alert']"));
+
+    timers.find((timer) => timer.ms === 10000).callback();
+    assert.equal(env.document.querySelector("[role='alert']"), null);
+  });
+});
+
+describe("createPortfolio", () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  it("starts both controllers without writing globals", async () => {
+    env = createEnvironment({ storage: { theme: "dark" } });
+
+    const { portfolio, theme, ready } = env.classes.createPortfolio({ portfolio: { retryDelay: 0 } });
+    await ready;
+
+    assert.ok(portfolio instanceof env.classes.PortfolioController);
+    assert.ok(theme instanceof env.classes.ThemeController);
+    assert.equal(env.window.portfolioController, undefined);
+    assert.equal(env.document.querySelectorAll("#content > .section").length, readData().sections.length);
+    assert.equal(env.document.documentElement.getAttribute("data-theme"), "dark");
+  });
+
+  it("passes options to each controller", () => {
+    env = createEnvironment();
+
+    const { portfolio, theme, ready } = env.classes.createPortfolio({
+      debug: true,
+      portfolio: { dataUrl: "/content.json", retries: 0 },
+      theme: { storageKey: "site-theme" },
+    });
+
+    assert.equal(portfolio.debug, true);
+    assert.equal(portfolio.dataUrl, "/content.json");
+    assert.equal(theme.storageKey, "site-theme");
+    return assert.rejects(ready, env.classes.DataHttpError);
+  });
+});
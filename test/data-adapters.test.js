@@ -0,0 +1,266 @@
+"use strict";
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment, readData } = require("./helpers/environment");
+
+/**
+ * A JSON Resume document touching most of the schema
+ * @returns {Object}
+ */
+function resume() {
+  return {
+    basics: {
+      name: "Ada Lovelace",
+      label: "Analyst",
+      email: "ada@example.com",
+      url: "https://ada.example.com/",
+      summary: "Writes programs for the <Analytical Engine>.",
+      profiles: [
+        { network: "GitHub", username: "ada", url: "https://github.com/ada" },
+        { network: "Mastodon", username: "ada" },
+      ],
+    },
+    work: [
+      {
+        name: "Babbage & Co",
+        position: "Programmer",
+        startDate: "1842-07-01",
+        endDate: "1843-09",
+        summary: "Translated Menabrea's paper.",
+        highlights: ["Note G", "Bernoulli numbers"],
+      },
+      { name: "Royal Society", position: "Correspondent", startDate: "1844" },
+    ],
+    education: [{ institution: "Home", area: "Mathematics", studyType: "Private tutoring", courses: ["Calculus"] }],
+    skills: [
+      { name: "Languages", level: "Master", keywords: ["C++", "Node.js"] },
+      { name: "Python", level: "Intermediate" },
+    ],
+    projects: [
+      {
+        name: "Engine Notes",
+        description: "Annotated translation",
+        keywords: ["Math"],
+        url: "https://github.com/ada/notes",
+      },
+      { name: "Flyology", url: "https://flyology.example.com/", startDate: "1828-01-01" },
+    ],
+    awards: [{ title: "Honorary mention", awarder: "Royal Society", date: "1843" }],
+    languages: [{ language: "French", fluency: "Fluent" }],
+    interests: [{ name: "Flight", keywords: ["birds", "steam"] }],
+    volunteer: [],
+  };
+}
+
+describe("PortfolioController data adapters", () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  const sectionIds = (data) => Array.from(data.sections, (section) => `${section.section}:${section.type}`);
+
+  it("registers JSON, YAML and JSON Resume adapters", () => {
+    env = createEnvironment();
+    const controller = env.createController();
+
+    assert.deepEqual(Array.from(controller.getDataAdapters()), ["json", "yaml", "json-resume"]);
+    assert.equal(controller.getDataAdapter("/data/data.json").name, "json");
+    assert.equal(controller.getDataAdapter("/data/data.yml?v=2").name, "yaml");
+    assert.equal(controller.getDataAdapter("/data/resume.json").name, "json-resume");
+    assert.equal(controller.getDataAdapter("/data/resume.es.json").name, "json-resume");
+    assert.equal(controller.getDataAdapter("/content").name, "json");
+  });
+
+  it("reads YAML files with js-yaml", async () => {
+    env = createEnvironment({ routes: { "/data/data.yaml": "yaml document" } });
+    const documents = [];
+    // Stands in for the js-yaml browser build, which would be loaded from the CDN
+    env.window.jsyaml = {
+      load(text) {
+        documents.push(text);
+        return readData();
+      },
+    };
+    const controller = env.createController({ dataUrl: "/data/data.yaml" });
+
+    const data = await controller.loadPageData();
+
+    assert.deepEqual(documents, ["yaml document"]);
+    assert.equal(data.sections.length, readData().sections.length);
+  });
+
+  it("loads the vendored js-yaml unless another copy is configured", () => {
+    env = createEnvironment();
+    const script = () => Array.from(env.document.head.querySelectorAll("script")).pop();
+
+    env.createController().loadYAMLParser().catch(() => {});
+    assert.equal(script().getAttribute("src"), "./javascript/vendor/js-yaml.min.js");
+
+    const src = "https://cdn.example.com/js-yaml.min.js";
+    env.createController({ yaml: { src, integrity: "sha384-abc" } }).loadYAMLParser().catch(() => {});
+    assert.equal(script().getAttribute("src"), src);
+    assert.equal(script().integrity, "sha384-abc");
+  });
+
+  it("reports YAML parser errors as DataParseError", async () => {
+    env = createEnvironment({ routes: { "/data/data.yaml": "sections: [" } });
+    env.window.jsyaml = {
+      load() {
+        throw new Error("unexpected end of the stream");
+      },
+    };
+    const controller = env.createController({ dataUrl: "/data/data.yaml" });
+
+    await assert.rejects(controller.loadPageData(), (error) => {
+      assert.ok(error instanceof env.classes.DataParseError);
+      assert.match(error.message, /data\.yaml: unexpected end of the stream/);
+      return true;
+    });
+  });
+
+  it("maps a JSON Resume file to sections", async () => {
+    env = createEnvironment({ routes: { "/data/resume.json": resume() } });
+    const controller = env.createController({ dataUrl: "/data/resume.json" });
+
+    const data = await controller.loadPageData();
+
+    assert.deepEqual(sectionIds(data), [
+      "about:pg",
+      "experience:ls",
+      "education:ls",
+      "skills:skills",
+      "projects:projects",
+      "awards:ls",
+      "languages:ls",
+      "interests:ls",
+    ]);
+
+    const experience = data.sections[1];
+    assert.equal(experience.layout, "timeline");
+    assert.deepEqual(JSON.parse(JSON.stringify(experience.body)), [
+      {
+        header: "Babbage & Co",
+        subheader: "Programmer",
+        start: "1842-07",
+        end: "1843-09",
+        main: "Translated Menabrea&#39;s paper.<ul><li>Note G</li><li>Bernoulli numbers</li></ul>",
+      },
+      { header: "Royal Society", subheader: "Correspondent", start: "1844-01" },
+    ]);
+    assert.equal(data.sections[0].body, "Writes programs for the &#60;Analytical Engine&#62;.");
+  });
+
+  it("maps JSON Resume skills, projects, profiles and basics", async () => {
+    env = createEnvironment({ routes: { "/data/resume.json": resume() } });
+    const controller = env.createController({ dataUrl: "/data/resume.json" });
+
+    const data = JSON.parse(JSON.stringify(await controller.loadPageData()));
+
+    assert.deepEqual(data.icons, {
+      languages: {
+        title: "Languages",
+        items: [
+          { icon: "cplusplus", label: "C++", level: 5 },
+          { icon: "nodejs", label: "Node.js", level: 5 },
+        ],
+      },
+      python: { title: "Python", items: [{ icon: "python", label: "Python", level: 3 }] },
+    });
+    assert.deepEqual(data.sections.find((section) => section.type === "projects").body, [
+      {
+        id: "engine-notes",
+        title: "Engine Notes",
+        description: "Annotated translation",
+        tags: ["Math"],
+        repo: "https://github.com/ada/notes",
+      },
+      { id: "flyology", title: "Flyology", demo: "https://flyology.example.com/", date: "1828-01" },
+    ]);
+    assert.deepEqual(data.ext, { github: { icon: "github-plain", link: "https://github.com/ada" } });
+    assert.deepEqual(data.meta, {
+      name: "Ada Lovelace",
+      jobTitle: "Analyst",
+      description: "Writes programs for the <Analytical Engine>.",
+      url: "https://ada.example.com/",
+      email: "ada@example.com",
+    });
+  });
+
+  it("builds the page from a JSON Resume file", async () => {
+    env = createEnvironment({ routes: { "/data/resume.json": resume() } });
+    const controller = env.createController({ dataUrl: "/data/resume.json" });
+
+    await controller.init();
+
+    assert.ok(env.document.getElementById("experience-section"));
+    assert.ok(env.document.getElementById("projects-section"));
+  });
+
+  it("uses preloaded data without fetching", async () => {
+    env = createEnvironment();
+    const controller = env.createController({ data: readData() });
+
+    const data = await controller.loadPageData();
+
+    assert.equal(data.sections.length, readData().sections.length);
+    assert.deepEqual(env.fetch.calls, []);
+    assert.equal(controller.dataUrl, null);
+  });
+
+  it("maps a preloaded JSON Resume object with the named adapter", async () => {
+    env = createEnvironment();
+    const controller = env.createController({ data: resume(), dataAdapter: "json-resume" });
+
+    const data = await controller.loadPageData();
+
+    assert.equal(data.sections[0].section, "about");
+    assert.deepEqual(env.fetch.calls, []);
+  });
+
+  it("uses custom adapters registered through options", async () => {
+    env = createEnvironment({ routes: { "/data/projects.csv": "Loom,https://loom.example.com/\nEngine,\n" } });
+    const controller = env.createController({
+      dataUrl: "/data/projects.csv",
+      dataAdapters: {
+        csv: {
+          pattern: /\.csv$/,
+          contentType: "text/csv",
+          parse: (text) => text.trim().split("\n").map((line) => line.split(",")),
+          transform: (rows) => ({
+            sections: [
+              {
+                section: "projects",
+                title: "Projects",
+                type: "projects",
+                body: rows.map(([title, demo]) => (demo ? { title, demo } : { title })),
+              },
+            ],
+          }),
+        },
+      },
+    });
+
+    const data = await controller.loadPageData();
+
+    assert.deepEqual(Array.from(data.sections[0].body, (project) => project.title), ["Loom", "Engine"]);
+  });
+
+  it("rejects invalid adapters and unknown adapter names", () => {
+    env = createEnvironment();
+
+    assert.throws(() => env.createController({ dataAdapter: "toml" }), /Unknown data adapter: toml/);
+    assert.throws(
+      () => env.createController({ dataAdapters: { bad: { pattern: "*.toml" } } }),
+      /pattern must be a RegExp/
+    );
+    assert.throws(() => env.createController({ data: "sections" }), /options\.data must be an object/);
+  });
+
+  it("reports a resume that isn't an object as DataParseError", async () => {
+    env = createEnvironment({ routes: { "/data/resume.json": "[]" } });
+    const controller = env.createController({ dataUrl: "/data/resume.json" });
+
+    await assert.rejects(controller.loadPageData(), env.classes.DataParseError);
+  });
+});
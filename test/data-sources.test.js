@@ -0,0 +1,226 @@
+"use strict";
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment, readData } = require("./helpers/environment");
+
+/**
+ * Split the sample data into a base file and a projects file, like two maintainers would
+ * @returns {{base: Object, projects: Object}}
+ */
+function splitData() {
+  const data = readData();
+  const projects = data.sections.filter((section) => section.type === "projects");
+
+  return {
+    base: { ...data, sections: data.sections.filter((section) => section.type !== "projects") },
+    projects: { sections: projects },
+  };
+}
+
+describe("PortfolioController data sources", () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  const sectionIds = (data) => Array.from(data.sections, (section) => section.section);
+
+  it("fetches a list of sources in parallel and merges them", async () => {
+    const { base, projects } = splitData();
+    env = createEnvironment({ routes: { "/data/base.json": base, "/data/projects.json": projects } });
+    let pending = 0;
+    let concurrent = 0;
+    const fetch = env.window.fetch;
+    env.window.fetch = async (...args) => {
+      pending += 1;
+      concurrent = Math.max(concurrent, pending);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      pending -= 1;
+      return fetch(...args);
+    };
+    const controller = env.createController({ dataUrl: ["/data/base.json", "/data/projects.json"] });
+
+    const data = await controller.loadPageData();
+
+    assert.equal(concurrent, 2);
+    assert.deepEqual(sectionIds(data), sectionIds(readData()).filter((id) => id !== "projects").concat("projects"));
+    assert.deepEqual(env.fetch.calls.sort(), ["/data/base.json", "/data/projects.json"]);
+  });
+
+  it("lets later sources override earlier ones and merges keyed arrays", async () => {
+    env = createEnvironment({
+      routes: {
+        "/a.json": {
+          sections: [
+            { section: "about", title: "About", type: "pg", body: "Base" },
+            { section: "contact", title: "Contact", type: "pg", body: "Mail" },
+          ],
+          ext: { github: { icon: "github-plain", link: "https://github.com/a" } },
+          tags: ["one", "two"],
+        },
+        "/b.json": {
+          sections: [
+            { section: "about", body: "Override" },
+            { section: "talks", title: "Talks", type: "pg", body: "Slides" },
+          ],
+          ext: { mastodon: { icon: "mastodon", link: "https://example.social/@a" } },
+          tags: ["three"],
+        },
+      },
+    });
+    const controller = env.createController({ dataUrl: ["/a.json", "/b.json"], validate: false });
+
+    const data = JSON.parse(JSON.stringify(await controller.loadPageData()));
+
+    assert.deepEqual(data.sections, [
+      { section: "about", title: "About", type: "pg", body: "Override" },
+      { section: "contact", title: "Contact", type: "pg", body: "Mail" },
+      { section: "talks", title: "Talks", type: "pg", body: "Slides" },
+    ]);
+    assert.deepEqual(Object.keys(data.ext), ["github", "mastodon"]);
+    assert.deepEqual(data.tags, ["three"]);
+    assert.deepEqual(JSON.parse(JSON.stringify(controller.getSectionSources())), {
+      about: ["/a.json", "/b.json"],
+      contact: ["/a.json"],
+      talks: ["/b.json"],
+    });
+  });
+
+  it("orders sections by their numeric order", () => {
+    env = createEnvironment();
+    const controller = env.createController();
+
+    const data = controller.mergeDataSources([
+      {
+        url: "/a.json",
+        data: { sections: [{ section: "a", itemOrder: "oldest" }, { section: "b" }, { section: "c", order: 0 }] },
+      },
+      { url: "/b.json", data: { sections: [{ section: "d", order: 1.5 }, { section: "b", order: 10 }] } },
+    ]);
+
+    assert.deepEqual(sectionIds(data), ["a", "c", "d", "b"]);
+  });
+
+  it("follows a manifest file and resolves its sources relative to it", async () => {
+    const { base, projects } = splitData();
+    env = createEnvironment({
+      routes: {
+        "/content/manifest.json": { sources: ["base.json", { url: "/shared/projects.json", adapter: "json" }] },
+        "/content/base.json": base,
+        "/shared/projects.json": projects,
+      },
+    });
+    const controller = env.createController({ dataUrl: "/content/manifest.json" });
+
+    const data = await controller.loadPageData();
+
+    assert.ok(data.sections.some((section) => section.type === "projects"));
+    assert.deepEqual(env.fetch.calls.slice(1).sort(), ["/content/base.json", "/shared/projects.json"]);
+    assert.match(controller.getSectionSources().projects[0], /\/shared\/projects\.json$/);
+  });
+
+  it("dates cached content by the oldest cached file, the manifest included", async () => {
+    const { base, projects } = splitData();
+    const cached = (data, cachedAt) => ({
+      status: 200,
+      body: JSON.stringify(data),
+      headers: { "content-type": "application/json", "sw-cached-at": cachedAt },
+    });
+    env = createEnvironment({
+      routes: {
+        "/content/manifest.json": cached({ sources: ["base.json", "projects.json"] }, "2024-01-01T00:00:00Z"),
+        "/content/base.json": cached(base, "2024-06-01T00:00:00Z"),
+        "/content/projects.json": projects,
+      },
+    });
+    const controller = env.createController({ dataUrl: "/content/manifest.json" });
+
+    await controller.loadPageData();
+
+    assert.equal(controller.dataCachedAt.toISOString(), "2024-01-01T00:00:00.000Z");
+  });
+
+  it("rejects a manifest file without valid sources as invalid data", async () => {
+    env = createEnvironment({ routes: { "/content/manifest.json": { sources: ["base.json", { adapter: "json" }] } } });
+    const controller = env.createController({ dataUrl: "/content/manifest.json" });
+
+    await assert.rejects(controller.loadPageData(), (error) => {
+      assert.ok(error instanceof env.classes.DataValidationError);
+      assert.deepEqual(JSON.parse(JSON.stringify(error.errors)), [
+        { path: "sources[1]", message: 'Data source 1 must be a URL or have a "url"' },
+      ]);
+      return true;
+    });
+  });
+
+  it("accepts a manifest object and logs section sources in debug mode", async () => {
+    const { base, projects } = splitData();
+    env = createEnvironment({ routes: { "/data/base.json": base, "/data/projects.json": projects } });
+    const messages = [];
+    env.window.console.log = (...args) => messages.push(args.join(" "));
+    const controller = env.createController({
+      dataUrl: { sources: ["/data/base.json", "/data/projects.json"] },
+      debug: true,
+    });
+
+    await controller.loadPageData();
+
+    assert.ok(messages.some((message) => message.includes('Section "projects" from /data/projects.json')));
+    assert.ok(messages.some((message) => message.includes('Section "about" from /data/base.json')));
+  });
+
+  it("merges a locale overlay for each source", async () => {
+    const { base, projects } = splitData();
+    const projectsEs = { sections: [{ section: "projects", title: "Proyectos" }] };
+    env = createEnvironment({
+      url: "http://localhost/?lang=es",
+      routes: {
+        "/data/base.json": { ...base, locales: { en: "English", es: "Español" } },
+        "/data/projects.json": projects,
+        "/data/base.es.json": { status: 404 },
+        "/data/projects.es.json": projectsEs,
+      },
+    });
+    const controller = env.createController({ dataUrl: ["/data/base.json", "/data/projects.json"] });
+
+    const data = await controller.loadPageData();
+
+    assert.equal(data.sections.find((section) => section.section === "projects").title, "Proyectos");
+    assert.ok(env.fetch.calls.includes("/data/base.es.json"));
+  });
+
+  it("fails when any source fails", async () => {
+    env = createEnvironment({ routes: { "/data/base.json": readData(), "/data/missing.json": { status: 404 } } });
+    const controller = env.createController({ dataUrl: ["/data/base.json", "/data/missing.json"], retries: 0 });
+
+    await assert.rejects(controller.loadPageData(), env.classes.DataHttpError);
+  });
+
+  it("cancels the other sources when one fails", async () => {
+    env = createEnvironment({ routes: { "/data/base.json": "hang", "/data/missing.json": { status: 404 } } });
+    const signals = [];
+    const fetch = env.window.fetch;
+    env.window.fetch = (url, init) => {
+      signals.push(init.signal);
+      return fetch(url, init);
+    };
+    const controller = env.createController({ dataUrl: ["/data/base.json", "/data/missing.json"], timeout: 1000 });
+
+    await assert.rejects(controller.loadPageData(), env.classes.DataHttpError);
+    await env.wait();
+
+    assert.ok(signals[0].aborted);
+    assert.equal(env.fetch.calls.filter((call) => call === "/data/base.json").length, 1);
+  });
+
+  it("rejects invalid source lists", () => {
+    env = createEnvironment();
+
+    assert.throws(() => env.createController({ dataUrl: [] }), /non-empty list/);
+    assert.throws(() => env.createController({ dataUrl: [{ adapter: "json" }] }), /Data source 0/);
+    assert.throws(
+      () => env.createController({ dataUrl: [{ url: "/a.toml", adapter: "toml" }] }),
+      /Unknown data adapter for \/a\.toml: toml/
+    );
+  });
+});
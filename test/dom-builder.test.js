@@ -0,0 +1,65 @@
+"use strict";
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment, readData } = require("./helpers/environment");
+
+describe("DomBuilder", () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  it("builds nested elements with attributes and content", () => {
+    env = createEnvironment();
+    const { DomBuilder } = env.classes;
+    const host = env.document.createElement("div");
+
+    new DomBuilder("ul", { class: "list", "aria-label": "Items" })
+      .scope((list) => {
+        list.addChild("li", { innerText: "<b>One</b>" });
+        list.addChild("li", { innerHTML: "<b>Two</b>", hidden: true, title: undefined }, (item) => {
+          item.addChild("span", { "data-index": 2, download: false });
+        });
+      })
+      .appendTo(host);
+
+    assert.equal(
+      host.innerHTML,
+      '<ul class="list" aria-label="Items"><li>&lt;b&gt;One&lt;/b&gt;</li><li hidden=""><b>Two</b><span data-index="2"></span></li></ul>'
+    );
+  });
+
+  it("renders the page when BuilderJS isn't loaded", async () => {
+    env = createEnvironment({ builder: false });
+    const controller = env.createController();
+
+    await controller.init();
+
+    assert.equal(controller.Builder, env.classes.DomBuilder);
+    assert.equal(env.document.querySelectorAll("#content > .section").length, readData().sections.length);
+  });
+
+  it("renders the same markup as BuilderJS", async () => {
+    const render = async (builder) => {
+      const page = createEnvironment({ builder });
+      await page.createController().init();
+      const html = page.document.getElementById("content").innerHTML;
+      page.close();
+      return html;
+    };
+
+    env = createEnvironment();
+    assert.equal(await render(false), await render(true));
+  });
+
+  it("uses the builder passed in the options", async () => {
+    env = createEnvironment({ builder: false });
+    const controller = env.createController({ builder: env.Builder });
+
+    await controller.init();
+
+    assert.equal(controller.Builder, env.Builder);
+    assert.equal(env.Builder.validationMode, "silent");
+    assert.throws(() => env.createController({ builder: "builder.js" }), /options.builder must be a Builder class/);
+  });
+});
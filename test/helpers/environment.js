@@ -0,0 +1,270 @@
+/**
+ * @fileoverview jsdom test environment for javascript/main.js
+ * @description Loads index.html into jsdom with a stubbed BuilderJS and mocked `fetch`,
+ * `localStorage` and `matchMedia`, then evaluates main.js in the page and hands back its classes.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+const ROOT = path.resolve(__dirname, "../..");
+const HTML = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+const MAIN = fs.readFileSync(path.join(ROOT, "javascript/main.js"), "utf8");
+
+/**
+ * Read a data file from the repository
+ * @param {string} file - Path relative to the repository root
+ * @returns {Object} Parsed JSON (a fresh copy on every call)
+ */
+function readData(file = "data/data.json") {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, file), "utf8"));
+}
+
+/**
+ * Create a Builder stub with the BuilderJS surface main.js uses
+ *
+ * `innerText` is applied as `textContent` because jsdom doesn't implement `innerText`.
+ * @param {Window} window - Page window
+ * @returns {Function} Builder class
+ */
+function createBuilder(window) {
+  return class Builder {
+    static setValidationMode(mode) {
+      Builder.validationMode = mode;
+    }
+
+    constructor(tag, attributes = {}) {
+      this.element = window.document.createElement(tag);
+
+      Object.entries(attributes).forEach(([name, value]) => {
+        if (name === "innerText") this.element.textContent = value;
+        else if (name === "innerHTML") this.element.innerHTML = value;
+        else this.element.setAttribute(name, value);
+      });
+    }
+
+    scope(callback) {
+      callback(this);
+      return this;
+    }
+
+    addChild(tag, attributes, callback) {
+      const child = new Builder(tag, attributes);
+      if (callback) callback(child);
+      this.element.appendChild(child.element);
+      return this;
+    }
+
+    appendTo(parent) {
+      parent.appendChild(this.element);
+      return this;
+    }
+  };
+}
+
+/**
+ * Create an in-memory `localStorage`
+ * @param {Object<string, string>} [initial] - Stored values
+ * @returns {Object} Storage with a `failing` flag that makes every call throw
+ */
+function createStorage(initial = {}) {
+  const values = new Map(Object.entries(initial));
+
+  const storage = {
+    failing: false,
+    check() {
+      if (storage.failing) throw new Error("Storage is disabled");
+    },
+    getItem(key) {
+      storage.check();
+      return values.has(key) ? values.get(key) : null;
+    },
+    setItem(key, value) {
+      storage.check();
+      values.set(key, String(value));
+    },
+    removeItem(key) {
+      storage.check();
+      values.delete(key);
+    },
+    clear() {
+      storage.check();
+      values.clear();
+    },
+  };
+
+  return storage;
+}
+
+/**
+ * Create a `matchMedia` mock whose queries can be switched from the test
+ * @returns {{matchMedia: Function, set: Function}} `set(query, matches)` updates a query and
+ *   notifies its change listeners
+ */
+function createMedia() {
+  const lists = new Map();
+
+  const get = (query) => {
+    if (!lists.has(query)) {
+      const listeners = new Set();
+      lists.set(query, {
+        matches: false,
+        media: query,
+        listeners,
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener),
+        addListener: (listener) => listeners.add(listener),
+        removeListener: (listener) => listeners.delete(listener),
+      });
+    }
+    return lists.get(query);
+  };
+
+  return {
+    matchMedia: (query) => get(query),
+    set(query, matches) {
+      const list = get(query);
+      list.matches = matches;
+      list.listeners.forEach((listener) => listener({ matches, media: query }));
+    },
+  };
+}
+
+/**
+ * Create a `fetch` mock serving routes by URL path
+ *
+ * A route is a data object (served as JSON), a string (served as-is), a `{ status, body, headers }`
+ * object with that exact response (e.g. an HTTP error), a function returning one of those for
+ * each call, or `"hang"` for a request that only settles when aborted. Unknown paths answer 404.
+ * @param {Window} window - Page window, for errors the page recognises
+ * @param {Object<string, *>} routes - Responses by path (e.g. "/data/data.json")
+ * @returns {Function} fetch mock with a `calls` array of requested paths
+ */
+function createFetch(window, routes) {
+  const mock = (input, init = {}) => {
+    const url = new URL(String(input), window.location.href);
+    mock.calls.push(url.pathname);
+
+    let route = routes[url.pathname];
+    if (typeof route === "function") route = route(mock.calls.filter((call) => call === url.pathname).length);
+
+    if (route instanceof Error) {
+      // A failed network request, as the page's own fetch would report it
+      return Promise.reject(new window.TypeError(route.message));
+    }
+
+    if (route === "hang") {
+      return new Promise((resolve, reject) => {
+        if (init.signal) {
+          init.signal.addEventListener("abort", () => reject(new window.DOMException("Aborted", "AbortError")));
+        }
+      });
+    }
+
+    if (route === undefined) {
+      return Promise.resolve(new Response("Not Found", { status: 404, statusText: "Not Found" }));
+    }
+
+    if (route && typeof route.status === "number") {
+      return Promise.resolve(
+        new Response(route.body || "", { status: route.status, statusText: route.statusText || "", headers: route.headers })
+      );
+    }
+
+    const body = typeof route === "string" ? route : JSON.stringify(route);
+    return Promise.resolve(new Response(body, { status: 200, headers: { "content-type": "application/json" } }));
+  };
+
+  mock.calls = [];
+  return mock;
+}
+
+/**
+ * Create a page with main.js loaded
+ * @param {Object} [options] - Environment options
+ * @param {string} [options.html] - Page markup (defaults to index.html)
+ * @param {Object<string, *>} [options.routes] - Extra or replacement fetch routes (see createFetch)
+ * @param {Object} [options.data] - Data served as /data/data.json (defaults to the repository's)
+ * @param {Object<string, string>} [options.storage] - Initial localStorage values
+ * @param {string} [options.url="http://localhost/"] - Page URL
+ * @param {boolean} [options.builder=true] - Install the Builder stub (false: as if builder.js failed to load)
+ * @param {boolean} [options.autoInit=false] - Load main.js the way index.html does, with `data-autoinit`
+ * @returns {Object} `{ window, document, classes, fetch, storage, media, Builder, createController, wait, close }`
+ */
+function createEnvironment(options = {}) {
+  const mocks = {};
+  let html = options.html || HTML;
+
+  if (options.autoInit) {
+    // Run main.js as the page's own <script data-autoinit> instead of the external file, escaping
+    // the "</script>" in its doc comments so it doesn't end the inline script early
+    const inline = MAIN.replace(/<\/script/gi, "<\\/script");
+    html = html.replace(/<script src="\/javascript\/main\.js"[^>]*><\/script>/, () => `<script data-autoinit>${inline}</script>`);
+  }
+
+  const dom = new JSDOM(html, {
+    url: options.url || "http://localhost/",
+    runScripts: options.autoInit ? "dangerously" : "outside-only",
+    pretendToBeVisual: true,
+    // Keep the page's logging out of the test output
+    virtualConsole: new VirtualConsole(),
+    beforeParse(window) {
+      mocks.storage = createStorage(options.storage);
+      mocks.media = createMedia();
+      mocks.fetch = createFetch(window, {
+        "/data/data.json": options.data || readData(),
+        ...options.routes,
+      });
+      mocks.Builder = createBuilder(window);
+
+      Object.defineProperty(window, "localStorage", { value: mocks.storage, configurable: true });
+      window.matchMedia = mocks.media.matchMedia;
+      window.fetch = mocks.fetch;
+      if (options.builder !== false) window.Builder = mocks.Builder;
+      // Elements are never laid out in jsdom
+      window.HTMLElement.prototype.scrollIntoView = function scrollIntoView() {};
+    },
+  });
+  const { window } = dom;
+  const { storage, media, fetch, Builder } = mocks;
+
+  if (!options.autoInit) {
+    // Evaluated without a <script data-autoinit>, so nothing starts on its own
+    window.eval(MAIN);
+  }
+
+  const classes = window.Portfolio;
+
+  return {
+    window,
+    document: window.document,
+    classes,
+    fetch,
+    storage,
+    media,
+    Builder,
+    /**
+     * Create a PortfolioController with fast retries
+     * @param {Object} [controllerOptions] - Controller options
+     * @returns {PortfolioController}
+     */
+    createController(controllerOptions = {}) {
+      return new classes.PortfolioController({ retryDelay: 0, ...controllerOptions });
+    },
+    /**
+     * Let listeners attached with addEventListenerAfterBuild (setTimeout 0) run
+     * @returns {Promise<void>}
+     */
+    wait(ms = 0) {
+      return new Promise((resolve) => window.setTimeout(resolve, ms));
+    },
+    close() {
+      window.close();
+    },
+  };
+}
+
+module.exports = { createEnvironment, readData };
@@ -0,0 +1,165 @@
+"use strict";
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment, readData } = require("./helpers/environment");
+
+describe("PortfolioController#loadPageData", () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  it("loads and validates the data file", async () => {
+    env = createEnvironment();
+    const controller = env.createController();
+
+    const data = await controller.loadPageData();
+
+    assert.equal(data.sections.length, readData().sections.length);
+    assert.deepEqual(env.fetch.calls, ["/data/data.json"]);
+  });
+
+  it("throws DataHttpError without retrying a 404", async () => {
+    env = createEnvironment({ routes: { "/data/data.json": { status: 404, statusText: "Not Found" } } });
+    const controller = env.createController();
+
+    await assert.rejects(controller.loadPageData(), (error) => {
+      assert.ok(error instanceof env.classes.DataHttpError);
+      assert.equal(error.status, 404);
+      return true;
+    });
+    assert.equal(env.fetch.calls.length, 1);
+  });
+
+  it("retries server errors and succeeds once the server recovers", async () => {
+    const data = readData();
+    env = createEnvironment({
+      routes: { "/data/data.json": (attempt) => (attempt < 3 ? { status: 503 } : data) },
+    });
+    const controller = env.createController({ retries: 2 });
+
+    await controller.loadPageData();
+
+    assert.equal(env.fetch.calls.length, 3);
+  });
+
+  it("retries network failures and gives up after the configured retries", async () => {
+    env = createEnvironment({ routes: { "/data/data.json": new Error("Failed to fetch") } });
+    const controller = env.createController({ retries: 1 });
+
+    await assert.rejects(controller.loadPageData(), (error) => {
+      assert.ok(error instanceof env.classes.DataNetworkError);
+      assert.equal(error.cause.message, "Failed to fetch");
+      return true;
+    });
+    assert.equal(env.fetch.calls.length, 2);
+  });
+
+  it("throws DataTimeoutError when every attempt times out", async () => {
+    env = createEnvironment({ routes: { "/data/data.json": "hang" } });
+    const controller = env.createController({ timeout: 20, retries: 1 });
+
+    await assert.rejects(controller.loadPageData(), (error) => {
+      assert.ok(error instanceof env.classes.DataTimeoutError);
+      assert.equal(error.timeout, 20);
+      return true;
+    });
+    assert.equal(env.fetch.calls.length, 2);
+  });
+
+  it("propagates cancellation without retrying", async () => {
+    env = createEnvironment({ routes: { "/data/data.json": "hang" } });
+    const controller = env.createController({ timeout: 1000 });
+    const abort = new env.window.AbortController();
+
+    const loading = controller.loadPageData({ signal: abort.signal });
+    abort.abort(new Error("Navigated away"));
+
+    await assert.rejects(loading, /Navigated away/);
+    assert.equal(env.fetch.calls.length, 1);
+  });
+
+  it("doesn't start a request timer for an already cancelled signal", async () => {
+    env = createEnvironment();
+    const controller = env.createController({ timeout: 1000 });
+    const abort = new env.window.AbortController();
+    abort.abort(new Error("Navigated away"));
+    const delays = [];
+    const setTimeout = env.window.setTimeout;
+    env.window.setTimeout = (callback, ms) => {
+      delays.push(ms);
+      return setTimeout(callback, ms);
+    };
+
+    await assert.rejects(controller.fetchJSON("/data/data.json", { signal: abort.signal }), /Navigated away/);
+    assert.deepEqual(delays, []);
+    assert.equal(env.fetch.calls.length, 0);
+  });
+
+  it("throws DataParseError for malformed JSON", async () => {
+    env = createEnvironment({ routes: { "/data/data.json": "{ not json" } });
+    const controller = env.createController();
+
+    await assert.rejects(controller.loadPageData(), env.classes.DataParseError);
+    assert.equal(env.fetch.calls.length, 1);
+  });
+
+  it("throws DataValidationError for data that doesn't match the schema", async () => {
+    env = createEnvironment({ data: { sections: [] } });
+    const controller = env.createController();
+
+    await assert.rejects(controller.loadPageData(), env.classes.DataValidationError);
+  });
+
+  it("merges a locale overlay over the base data", async () => {
+    const data = { ...readData(), locales: { en: "English", es: "Español" } };
+    env = createEnvironment({
+      data,
+      url: "http://localhost/?lang=es",
+      routes: { "/data/data.es.json": { sections: [{ section: "about", title: "Sobre mí" }] } },
+    });
+    const controller = env.createController();
+
+    const loaded = await controller.loadPageData();
+
+    assert.equal(controller.locale, "es");
+    assert.equal(loaded.sections[0].title, "Sobre mí");
+    assert.equal(loaded.sections[0].body, data.sections[0].body);
+  });
+
+  it("falls back to the base data when the locale overlay is missing", async () => {
+    env = createEnvironment({
+      data: { ...readData(), locales: { en: "English", es: "Español" } },
+      url: "http://localhost/?lang=es",
+    });
+    const controller = env.createController({ retries: 0 });
+
+    const loaded = await controller.loadPageData();
+
+    assert.equal(loaded.sections[0].title, "About Me");
+  });
+});
+
+describe("PortfolioController#init", () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  it("resets its state when loading fails so it can be retried", async () => {
+    env = createEnvironment({ routes: { "/data/data.json": { status: 404 } } });
+    const controller = env.createController();
+
+    await assert.rejects(controller.init(), env.classes.DataHttpError);
+
+    assert.equal(controller.getData(), null);
+    assert.equal(Object.keys(controller.getDOM()).length, 0);
+  });
+
+  it("sets the BuilderJS validation mode from the debug option", async () => {
+    env = createEnvironment();
+
+    await env.createController({ debug: false }).init();
+
+    assert.equal(env.Builder.validationMode, "silent");
+  });
+});
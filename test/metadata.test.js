@@ -0,0 +1,109 @@
+"use strict";
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment } = require("./helpers/environment");
+
+/**
+ * Page data with metadata and the sections the JSON-LD Person reads
+ * @returns {Object}
+ */
+function pageData() {
+  return {
+    sections: [
+      {
+        section: "experience",
+        title: "Experience",
+        type: "ls",
+        body: [
+          { header: "Acme", subheader: "Engineer <em>II</em>", start: "2020-01" },
+          { header: "Initech", subheader: "Intern", start: "2018-05", end: "2018-08" },
+        ],
+      },
+      {
+        section: "education",
+        title: "Education",
+        type: "ls",
+        body: [{ header: "State U", main: "B.S. Computer Science" }],
+      },
+    ],
+    ext: {
+      github: { icon: "github-original", link: "https://github.com/example" },
+      site: { icon: "chrome-plain", link: "javascript:alert(1)" },
+      email: { icon: "email", link: "mailto:jane@example.com" },
+    },
+    meta: {
+      name: "Jane Doe",
+      jobTitle: "Engineer",
+      description: "Jane builds things </script><script>alert(1)</script>",
+      url: "https://jane.example/portfolio/",
+      image: "./me.jpg",
+      locale: "en_US",
+    },
+  };
+}
+
+describe("metadata", () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  const content = (selector) => env.document.head.querySelector(selector).getAttribute("content");
+
+  it("sets the title, description and social tags from data.meta", async () => {
+    env = createEnvironment({ data: pageData() });
+    await env.createController().init();
+
+    assert.equal(env.document.title, "Jane Doe – Engineer");
+    assert.equal(content("meta[name='description']"), pageData().meta.description);
+    assert.equal(content("meta[property='og:url']"), "https://jane.example/portfolio/");
+    assert.equal(content("meta[property='og:image']"), "https://jane.example/portfolio/me.jpg");
+    assert.equal(content("meta[name='twitter:card']"), "summary_large_image");
+    assert.equal(env.document.head.querySelector("meta[name='twitter:site']"), null);
+  });
+
+  it("describes the person in JSON-LD", async () => {
+    env = createEnvironment({ data: pageData() });
+    await env.createController().init();
+
+    const script = env.document.getElementById("portfolio-jsonld");
+    const person = JSON.parse(script.textContent);
+
+    assert.equal(script.textContent.includes("</script"), false);
+    assert.equal(person["@type"], "Person");
+    assert.equal(person.name, "Jane Doe");
+    assert.deepEqual(person.sameAs, ["https://github.com/example"]);
+    assert.deepEqual(person.worksFor, [
+      {
+        "@type": "EmployeeRole",
+        roleName: "Engineer II",
+        startDate: "2020-01",
+        worksFor: { "@type": "Organization", name: "Acme" },
+      },
+      {
+        "@type": "EmployeeRole",
+        roleName: "Intern",
+        startDate: "2018-05",
+        endDate: "2018-08",
+        worksFor: { "@type": "Organization", name: "Initech" },
+      },
+    ]);
+    assert.deepEqual(person.alumniOf, [{ "@type": "EducationalOrganization", name: "State U" }]);
+    assert.deepEqual(person.hasCredential, [{ "@type": "EducationalOccupationalCredential", name: "B.S. Computer Science" }]);
+  });
+
+  it("updates the tags in place on refresh", async () => {
+    const data = pageData();
+    env = createEnvironment({ data });
+    const controller = env.createController();
+    await controller.init();
+
+    delete data.meta.image;
+    await controller.refresh();
+
+    assert.equal(env.document.head.querySelectorAll("meta[name='description']").length, 1);
+    assert.equal(env.document.head.querySelectorAll("script[type='application/ld+json']").length, 1);
+    assert.equal(env.document.head.querySelector("meta[property='og:image']"), null);
+    assert.equal(content("meta[name='twitter:card']"), "summary");
+  });
+});
@@ -0,0 +1,153 @@
+"use strict";
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment } = require("./helpers/environment");
+
+/**
+ * A stand-in for a PDF.js document whose page loads and renders settle when the test says so
+ * @param {Window} window - Page window, for the cancellation error
+ * @returns {Object} `{ doc, pageLoads, renders }`
+ */
+function createDocument(window) {
+  const pageLoads = [];
+  const renders = [];
+  const page = {
+    getViewport: ({ scale }) => ({ width: 600 * scale, height: 800 * scale }),
+    render() {
+      const render = { cancelled: false };
+      render.promise = new Promise((resolve, reject) => {
+        render.resolve = resolve;
+        render.reject = reject;
+      });
+      render.cancel = () => {
+        render.cancelled = true;
+        const error = new window.Error("Rendering cancelled");
+        error.name = "RenderingCancelledException";
+        render.reject(error);
+      };
+      renders.push(render);
+      return render;
+    },
+  };
+  const doc = {
+    numPages: 2,
+    getPage: () => new Promise((resolve) => pageLoads.push(() => resolve(page))),
+    destroy() {},
+  };
+
+  return { doc, pageLoads, renders };
+}
+
+describe("PdfViewer", () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  /**
+   * Create a viewer with a document already open
+   * @returns {{viewer: PdfViewer, pageLoads: Function[], renders: Object[]}}
+   */
+  function openViewer() {
+    env = createEnvironment();
+    const container = env.document.createElement("div");
+    env.document.body.appendChild(container);
+    const viewer = new env.classes.PdfViewer(container, "/data/cv.pdf", { loadLibrary: () => Promise.resolve() });
+    const { doc, pageLoads, renders } = createDocument(env.window);
+
+    viewer.buildViewer();
+    viewer.doc = doc;
+    viewer.elements.canvas.getContext = () => ({});
+
+    return { viewer, pageLoads, renders };
+  }
+
+  it("only draws the newest of renders that start together", async () => {
+    const { viewer, pageLoads, renders } = openViewer();
+
+    const first = viewer.setZoom(1.25);
+    const second = viewer.setZoom(1.5);
+    pageLoads.forEach((load) => load());
+    await env.wait();
+
+    assert.equal(renders.length, 1);
+    renders[0].resolve();
+    await Promise.all([first, second]);
+    assert.equal(viewer.renderTask, null);
+  });
+
+  it("keeps the newer render task when an older render finishes", async () => {
+    const { viewer, pageLoads, renders } = openViewer();
+
+    const first = viewer.goToPage(2);
+    pageLoads.shift()();
+    await env.wait();
+    const second = viewer.goToPage(1);
+    await first;
+
+    pageLoads.shift()();
+    await env.wait();
+    assert.equal(renders.length, 2);
+    assert.ok(renders[0].cancelled);
+    assert.equal(viewer.renderTask, renders[1]);
+
+    const third = viewer.setZoom(2);
+    assert.ok(renders[1].cancelled);
+    await second;
+    pageLoads.shift()();
+    await env.wait();
+    renders[2].resolve();
+    await third;
+  });
+
+  it("shows the error state when a toolbar render fails", async () => {
+    const { viewer, pageLoads, renders } = openViewer();
+
+    viewer.elements.root.querySelector('[data-action="next"]').disabled = false;
+    viewer.elements.root.querySelector('[data-action="next"]').click();
+    pageLoads.shift()();
+    await env.wait();
+    renders[0].reject(new env.window.Error("Bad page"));
+    await env.wait();
+
+    assert.equal(viewer.elements.root.getAttribute("data-state"), "error");
+  });
+});
+
+describe("PDF.js loading", () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  const script = () => Array.from(env.document.head.querySelectorAll("script")).pop();
+
+  it("loads the vendored copy by default", () => {
+    env = createEnvironment();
+    const controller = env.createController();
+
+    controller.loadPdfJs().catch(() => {});
+
+    assert.equal(script().getAttribute("src"), "./javascript/vendor/pdf.min.js");
+    assert.equal(script().hasAttribute("integrity"), false);
+  });
+
+  it("loads a configured copy with its integrity hash", () => {
+    env = createEnvironment();
+    const src = "https://cdn.example.com/pdf.min.js";
+    const controller = env.createController({ pdfjs: { src, integrity: "sha384-abc" } });
+
+    controller.loadPdfJs().catch(() => {});
+
+    assert.equal(script().getAttribute("src"), src);
+    assert.equal(script().integrity, "sha384-abc");
+    assert.equal(script().crossOrigin, "anonymous");
+    assert.equal(controller.config.pdfjs.workerSrc, "./javascript/vendor/pdf.worker.min.js");
+  });
+
+  it("rejects invalid PDF.js options", () => {
+    env = createEnvironment();
+
+    assert.throws(() => env.createController({ pdfjs: "pdf.js" }), /options\.pdfjs must be an object/);
+    assert.throws(() => env.createController({ pdfjs: { src: 1 } }), /options\.pdfjs\.src must be/);
+  });
+});
@@ -0,0 +1,203 @@
+"use strict";
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment, readData } = require("./helpers/environment");
+
+describe("PortfolioController#refresh", () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  /**
+   * Count the elements the page builds
+   * @param {Document} document - Page document
+   * @returns {Object<string, number>}
+   */
+  const counts = (document) => ({
+    sections: document.querySelectorAll("#content > *").length,
+    navLinks: document.querySelectorAll(".linklist a").length,
+    extLinks: document.querySelectorAll(".ext-icon-list a").length,
+    localeOptions: document.querySelectorAll(".locale-select option").length,
+    metaDescriptions: document.querySelectorAll("meta[name='description']").length,
+    jsonLd: document.querySelectorAll("script[type='application/ld+json']").length,
+  });
+
+  it("rebuilds the page without duplicating content", async () => {
+    env = createEnvironment({ data: { ...readData(), locales: { en: "English", es: "Español" } } });
+    const controller = env.createController();
+    await controller.init();
+    const before = counts(env.document);
+
+    await controller.refresh();
+    await controller.refresh();
+
+    assert.deepEqual(counts(env.document), before);
+    assert.equal(before.sections, readData().sections.length);
+    assert.equal(before.localeOptions, 2);
+  });
+
+  it("reloads the data", async () => {
+    const data = readData();
+    env = createEnvironment({ data });
+    const controller = env.createController();
+    await controller.init();
+
+    data.sections[0].title = "Hello";
+    await controller.refresh();
+
+    assert.equal(env.document.querySelector("#about-section .section-title").textContent, "Hello");
+    assert.equal(env.fetch.calls.length, 2);
+  });
+
+  it("doesn't stack event listeners", async () => {
+    env = createEnvironment();
+    const controller = env.createController();
+    await controller.init();
+    await controller.refresh();
+    await env.wait();
+
+    let prints = 0;
+    controller.printResume = () => prints++;
+    env.document.getElementById("resume-print-btn").click();
+
+    let changes = 0;
+    controller.setLocale = async () => changes++;
+    env.document.querySelector(".locale-select").dispatchEvent(new env.window.Event("change"));
+
+    assert.equal(prints, 1);
+    assert.ok(changes <= 1);
+  });
+
+  it("toggles the resume preview once per click after a refresh", async () => {
+    env = createEnvironment();
+    Object.defineProperty(env.window.navigator, "pdfViewerEnabled", { value: true });
+    const controller = env.createController();
+    await controller.init();
+    await controller.refresh();
+    await env.wait();
+
+    env.document.getElementById("resume-preview-btn-0").click();
+
+    assert.equal(env.document.getElementById("resume-preview-0").classList.contains("hidden"), false);
+  });
+
+  it("can retry after a failed load", async () => {
+    let available = false;
+    env = createEnvironment({ routes: { "/data/data.json": () => (available ? readData() : { status: 404 }) } });
+    const controller = env.createController();
+    await assert.rejects(controller.init());
+
+    available = true;
+    await controller.refresh();
+
+    assert.equal(counts(env.document).sections, readData().sections.length);
+  });
+});
+
+describe("PortfolioController#destroy", () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  it("removes its content and its window and media query listeners", async () => {
+    env = createEnvironment();
+    // Window listeners as the DOM keeps them: one per type and function
+    const listeners = new Set();
+    const addEventListener = env.window.addEventListener.bind(env.window);
+    const removeEventListener = env.window.removeEventListener.bind(env.window);
+    env.window.addEventListener = (type, listener, options) => {
+      listeners.add(`${type}:${listener.name}`);
+      addEventListener(type, listener, options);
+    };
+    env.window.removeEventListener = (type, listener, options) => {
+      listeners.delete(`${type}:${listener.name}`);
+      removeEventListener(type, listener, options);
+    };
+    const controller = env.createController();
+    await controller.init();
+    await controller.refresh();
+    await env.wait();
+    const query = env.window.matchMedia(`(max-width: ${controller.mobileBreakpoint - 1}px)`);
+    assert.equal(query.listeners.size, 1);
+    assert.ok(listeners.size > 0);
+
+    controller.destroy();
+
+    assert.deepEqual(Array.from(listeners), []);
+    assert.equal(query.listeners.size, 0);
+    assert.equal(env.document.querySelectorAll("#content > *").length, 0);
+
+    await controller.init();
+    assert.equal(env.document.querySelectorAll("#content > *").length, readData().sections.length);
+  });
+});
+
+describe("pre-rendered content", () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  /**
+   * Build the page and serialize it the way scripts/prerender.js does
+   * @param {Object} [data] - Page data
+   * @param {number} [month] - Month count to render in, instead of the current month
+   * @returns {Promise<string>} Page markup
+   */
+  const prerender = async (data, month) => {
+    const source = createEnvironment({ data });
+    const controller = source.createController();
+    if (month !== undefined) controller.getCurrentMonth = () => month;
+    await controller.init();
+    controller.getDOM().content.setAttribute("data-prerendered", controller.getRenderStamp());
+    const html = source.document.documentElement.outerHTML;
+    source.close();
+    return html;
+  };
+
+  it("hydrates matching content instead of rebuilding it", async () => {
+    env = createEnvironment({ html: await prerender() });
+    const about = env.document.getElementById("about-section");
+    const controller = env.createController();
+
+    await controller.init();
+    await env.wait();
+
+    assert.equal(env.document.getElementById("about-section"), about);
+    assert.equal(env.document.querySelectorAll(".linklist a").length, readData().sections.length);
+    assert.equal(controller.getDOM().content.hasAttribute("data-prerendered"), false);
+
+    let prints = 0;
+    controller.printResume = () => prints++;
+    env.document.getElementById("resume-print-btn").click();
+    assert.equal(prints, 1);
+  });
+
+  it("rebuilds content pre-rendered from other data", async () => {
+    const data = readData();
+    const html = await prerender(data);
+    data.sections[0].title = "Changed";
+    env = createEnvironment({ html, data });
+
+    await env.createController().init();
+
+    assert.equal(env.document.querySelector("#about-section .section-title").textContent, "Changed");
+    assert.equal(env.document.querySelectorAll(".linklist a").length, data.sections.length);
+  });
+
+  it("rebuilds content pre-rendered in an earlier month", async () => {
+    const data = readData();
+    const ongoing = data.sections.find((section) => section.layout === "timeline").body[0];
+    const now = new Date();
+    const current = now.getFullYear() * 12 + now.getMonth();
+    ongoing.start = `${Math.floor((current - 14) / 12)}-${String(((current - 14) % 12) + 1).padStart(2, "0")}`;
+    const html = await prerender(data, current - 2);
+    env = createEnvironment({ html, data });
+
+    assert.match(env.document.querySelector(".timeline-tenure").textContent, /1 yr$/);
+
+    await env.createController().init();
+
+    assert.match(env.document.querySelector(".timeline-tenure").textContent, /1 yr 2 mos$/);
+  });
+});
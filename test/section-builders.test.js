@@ -0,0 +1,510 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment } = require("./helpers/environment");
+
+/**
+ * Page data with one section of every built-in type
+ * @returns {Object}
+ */
+function pageData() {
+  return {
+    sections: [
+      { section: "about", title: "About", type: "pg", body: "Hello <strong>there</strong><script>alert(1)</script>" },
+      {
+        section: "jobs",
+        title: "Jobs",
+        type: "ls",
+        layout: "timeline",
+        body: [
+          { header: "Acme", subheader: "Engineer", start: "2019-01", end: "2020-06" },
+          { header: "Acme", subheader: "Senior Engineer", start: "2020-06", end: "2022-01" },
+          { header: "Initech", subheader: "Intern", start: "2018-05", end: "2018-08" },
+        ],
+      },
+      {
+        section: "school",
+        title: "School",
+        type: "ls",
+        body: [
+          { header: "State U", subheader: "2018", main: "B.S. <em>Computer Science</em>" },
+          { id: "honors", header: "State U", subheader: "Dean's list" },
+        ],
+      },
+      { section: "skills", title: "Skills", type: "skills", groups: ["languages"] },
+      {
+        section: "work",
+        title: "Work",
+        type: "projects",
+        body: [
+          { title: "Zeta", tags: ["Go"], date: "2021", repo: "https://example.com/zeta" },
+          {
+            title: "Alpha",
+            tags: ["JavaScript", "Go"],
+            date: "2023-04",
+            description: "First <b>app</b>",
+            demo: "java\tscript:alert(1)",
+            thumbnail: "javascript:alert(1)",
+          },
+        ],
+      },
+      { section: "resume", title: "Resume", type: "rs", file: "./data/cv.pdf", downloadName: "cv.pdf" },
+    ],
+    icons: {
+      languages: { title: "Languages", items: ["python", { icon: "go", variant: "original", label: "Golang", level: 4 }] },
+      tools: ["git"],
+    },
+    ext: {
+      github: { icon: "github-original", link: "https://github.com/example" },
+    },
+  };
+}
+
+describe("section builders", () => {
+  let env;
+  let controller;
+  let section;
+
+  beforeEach(async () => {
+    env = createEnvironment({ data: pageData() });
+    controller = env.createController();
+    await controller.init();
+    await env.wait();
+    section = (id) => env.document.getElementById(`${id}-section`);
+  });
+
+  afterEach(() => env.close());
+
+  it("builds a navigation link for every section", () => {
+    const links = Array.from(env.document.querySelectorAll(".linklist a"), (link) => [link.getAttribute("href"), link.textContent]);
+
+    assert.deepEqual(links, [
+      ["#about-section", "About"],
+      ["#jobs-section", "Jobs"],
+      ["#school-section", "School"],
+      ["#skills-section", "Skills"],
+      ["#work-section", "Work"],
+      ["#resume-section", "Resume"],
+    ]);
+  });
+
+  it("clears the active navigation link when the scroll spy stops", () => {
+    controller.setActiveSection("jobs-section");
+    assert.equal(env.document.querySelector(".linklist [aria-current]").getAttribute("href"), "#jobs-section");
+
+    controller.teardownScrollSpy();
+
+    assert.equal(env.document.querySelector(".linklist [aria-current]"), null);
+    assert.equal(env.document.querySelector(".linklist .active"), null);
+  });
+
+  it("gives every section a header with a copy-link button", () => {
+    const about = section("about");
+
+    assert.equal(about.querySelector(".section-title").textContent, "About");
+    assert.equal(about.querySelector(".section-link-btn").getAttribute("data-target"), "about-section");
+  });
+
+  it("builds paragraph sections from sanitized HTML", () => {
+    const body = section("about").querySelector(".section-paragraph");
+
+    assert.equal(body.innerHTML, "Hello <strong>there</strong>");
+  });
+
+  it("keeps block elements of paragraph bodies inside the section body", async () => {
+    env.close();
+    env = createEnvironment({
+      data: { sections: [{ section: "about", title: "About", type: "pg", body: "<p>One</p><ul><li>Two</li></ul>" }] },
+    });
+    await env.createController().init();
+
+    const body = env.document.querySelector("#about-section .section-paragraph");
+    assert.equal(body.innerHTML, "<p>One</p><ul><li>Two</li></ul>");
+  });
+
+  it("treats a malformed hash as a literal id", () => {
+    env.window.location.hash = "#100%";
+    assert.equal(controller.scrollToHash(), false);
+
+    section("school").querySelector(".section-list-item").id = "100%";
+    assert.equal(controller.scrollToHash(), true);
+  });
+
+  it("builds list sections with ids for every item", () => {
+    const items = Array.from(section("school").querySelectorAll(".section-list-item"));
+
+    assert.deepEqual(
+      items.map((item) => item.id),
+      ["school-state-u-2018", "school-honors"]
+    );
+    assert.equal(items[0].querySelector(".list-item-header").textContent, "State U");
+    assert.equal(items[0].querySelector(".list-item-main").innerHTML, "B.S. <em>Computer Science</em>");
+    assert.equal(items[1].querySelector(".list-item-main"), null);
+  });
+
+  it("groups consecutive roles at one employer in timeline sections, newest first", () => {
+    const groups = Array.from(section("jobs").querySelectorAll(".timeline-group"));
+
+    assert.deepEqual(
+      groups.map((group) => group.querySelector(".list-item-header").textContent),
+      ["Acme", "Initech"]
+    );
+    assert.deepEqual(
+      Array.from(groups[0].querySelectorAll(".list-item-subheader"), (role) => role.textContent),
+      ["Senior Engineer", "Engineer"]
+    );
+    assert.equal(groups[0].querySelector(".timeline-group-tenure").textContent, "3 yrs");
+    assert.equal(groups[0].querySelector("time").getAttribute("datetime"), "2020-06");
+  });
+
+  it("lists timeline groups oldest first when the section's itemOrder is oldest", async () => {
+    env.close();
+    const data = pageData();
+    Object.assign(data.sections[1], { order: 0, itemOrder: "oldest" });
+    env = createEnvironment({ data });
+    await env.createController().init();
+
+    const groups = Array.from(env.document.querySelectorAll("#jobs-section .timeline-group"));
+    assert.deepEqual(
+      groups.map((group) => group.querySelector(".list-item-header").textContent),
+      ["Initech", "Acme"]
+    );
+    assert.deepEqual(
+      Array.from(groups[1].querySelectorAll(".list-item-subheader"), (role) => role.textContent),
+      ["Engineer", "Senior Engineer"]
+    );
+  });
+
+  it("builds skills sections from the listed icon groups", () => {
+    const skills = section("skills");
+    const labels = Array.from(skills.querySelectorAll(".icon-label"), (label) => label.textContent);
+
+    assert.deepEqual(
+      Array.from(skills.querySelectorAll(".skill-group"), (group) => group.getAttribute("data-group")),
+      ["languages"]
+    );
+    assert.deepEqual(labels, ["Python", "Golang"]);
+    assert.equal(skills.querySelector(".devicon-go-original").getAttribute("aria-hidden"), "true");
+    assert.equal(skills.querySelector("[aria-label='Proficiency: 4 of 5']").querySelectorAll(".filled").length, 4);
+  });
+
+  it("builds project cards with filters for every tag", () => {
+    const work = section("work");
+
+    assert.deepEqual(
+      Array.from(work.querySelectorAll(".projects-filter"), (button) => button.textContent),
+      ["All", "Go", "JavaScript"]
+    );
+    assert.deepEqual(
+      Array.from(work.querySelectorAll(".project-card .card-title"), (title) => title.textContent),
+      ["Zeta", "Alpha"]
+    );
+    assert.equal(work.querySelector("#work-alpha .project-description").innerHTML, "First <b>app</b>");
+  });
+
+  it("keeps block elements of project descriptions inside the description", async () => {
+    env.close();
+    env = createEnvironment({
+      data: {
+        sections: [
+          {
+            section: "work",
+            title: "Work",
+            type: "projects",
+            body: [{ title: "Alpha", description: "<p>One</p><ul><li>Two</li></ul>" }],
+          },
+        ],
+      },
+    });
+    await env.createController().init();
+
+    // Parse the built markup again, as the browser does with a pre-rendered page
+    const markup = env.document.getElementById("work-section").outerHTML;
+    const parsed = new env.window.DOMParser().parseFromString(markup, "text/html");
+    assert.equal(parsed.querySelector(".project-description").innerHTML, "<p>One</p><ul><li>Two</li></ul>");
+  });
+
+  it("leaves out project links and thumbnails with unsafe URLs", () => {
+    const [zeta, alpha] = Array.from(section("work").querySelectorAll(".project-card"));
+
+    assert.equal(zeta.querySelector(".project-links a").getAttribute("href"), "https://example.com/zeta");
+    assert.equal(alpha.querySelector(".project-links"), null);
+    assert.equal(alpha.querySelector("img"), null);
+  });
+
+  it("filters and sorts project cards from the toolbar", () => {
+    const work = section("work");
+    const visible = () =>
+      Array.from(work.querySelectorAll(".project-card:not(.hidden) .card-title"), (title) => title.textContent);
+
+    work.querySelector(".projects-filter[data-tag='JavaScript']").click();
+    assert.deepEqual(visible(), ["Alpha"]);
+    assert.equal(work.querySelector(".projects-filter[data-tag='JavaScript']").getAttribute("aria-pressed"), "true");
+
+    work.querySelector(".projects-filter[data-tag='']").click();
+    const sort = work.querySelector(".projects-sort");
+    sort.value = "title";
+    sort.dispatchEvent(new env.window.Event("change", { bubbles: true }));
+    assert.deepEqual(visible(), ["Alpha", "Zeta"]);
+  });
+
+  it("builds resume sections with download, preview and print buttons", () => {
+    const resume = section("resume");
+    const download = resume.querySelector("a[download]");
+
+    assert.equal(download.getAttribute("href"), "./data/cv.pdf");
+    assert.equal(download.getAttribute("download"), "cv.pdf");
+    assert.ok(env.document.getElementById("resume-preview-btn-0"));
+    assert.ok(env.document.getElementById("resume-print-btn"));
+    assert.ok(env.document.getElementById("resume-preview-0").classList.contains("hidden"));
+  });
+
+  it("removes the printable resume after printing, even without afterprint", () => {
+    const timers = [];
+    env.window.setTimeout = (callback, ms) => timers.push({ callback, ms });
+    env.window.print = () => {};
+    const printed = () => env.document.querySelectorAll(".print-resume").length;
+    const printing = () => env.document.body.classList.contains("printing-resume");
+
+    controller.printResume();
+    env.window.dispatchEvent(new env.window.Event("afterprint"));
+    assert.equal(printed(), 0);
+
+    controller.printResume();
+    controller.printResume();
+    assert.equal(printed(), 1);
+
+    const [first, second, third] = timers.filter((timer) => timer.ms === 60000);
+    first.callback();
+    second.callback();
+    assert.equal(printed(), 1);
+    assert.equal(printing(), true);
+
+    third.callback();
+    assert.equal(printed(), 0);
+    assert.equal(printing(), false);
+  });
+
+  it("keeps resume file names with a stray percent sign as written", () => {
+    const files = controller.getResumeFiles({ title: "Resume", files: [{ file: "./data/cv%20100%.pdf" }] });
+
+    assert.equal(files[0].downloadName, "cv%20100%.pdf");
+  });
+
+  it("toggles the resume preview", () => {
+    Object.defineProperty(env.window.navigator, "pdfViewerEnabled", { value: true });
+    const button = env.document.getElementById("resume-preview-btn-0");
+    const container = env.document.getElementById("resume-preview-0");
+
+    button.click();
+    assert.equal(container.querySelector("iframe").getAttribute("src"), "./data/cv.pdf#toolbar=0");
+    assert.equal(button.getAttribute("aria-expanded"), "true");
+
+    button.click();
+    assert.ok(container.classList.contains("hidden"));
+    assert.equal(container.children.length, 0);
+    assert.equal(button.getAttribute("aria-expanded"), "false");
+  });
+
+  it("builds external links", () => {
+    const link = env.document.querySelector(".ext-icon-list a");
+
+    assert.equal(link.getAttribute("href"), "https://github.com/example");
+    assert.equal(link.getAttribute("rel"), "noopener noreferrer");
+    assert.ok(link.querySelector(".devicon-github-original"));
+  });
+});
+
+describe("mobile navigation", () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  it("collapses the links behind a menu button below the breakpoint", async () => {
+    env = createEnvironment({ data: pageData() });
+    const controller = env.createController({ mobileBreakpoint: 600 });
+    const query = "(max-width: 599px)";
+    env.media.set(query, true);
+    await controller.init();
+
+    const navigation = env.document.querySelector(".navigation");
+    const toggle = env.document.querySelector(".nav-toggle");
+    const key = (name, options) =>
+      env.document.dispatchEvent(new env.window.KeyboardEvent("keydown", { key: name, bubbles: true, ...options }));
+    assert.ok(navigation.classList.contains("nav-mobile"));
+    assert.equal(toggle.hidden, false);
+
+    toggle.focus();
+    toggle.click();
+    const links = Array.from(env.document.querySelectorAll(".linklist a"));
+    assert.ok(navigation.classList.contains("nav-open"));
+    assert.equal(toggle.getAttribute("aria-expanded"), "true");
+    assert.equal(env.document.activeElement, links[0]);
+
+    // Focus wraps around the toggle and links
+    links[links.length - 1].focus();
+    key("Tab");
+    assert.equal(env.document.activeElement, toggle);
+    key("Tab", { shiftKey: true });
+    assert.equal(env.document.activeElement, links[links.length - 1]);
+
+    key("Escape");
+    assert.equal(navigation.classList.contains("nav-open"), false);
+    assert.equal(toggle.getAttribute("aria-expanded"), "false");
+    assert.equal(env.document.activeElement, toggle);
+
+    toggle.click();
+    links[1].click();
+    assert.equal(navigation.classList.contains("nav-open"), false);
+
+    toggle.click();
+    env.document.body.click();
+    assert.equal(navigation.classList.contains("nav-open"), false);
+
+    env.media.set(query, false);
+    assert.equal(navigation.classList.contains("nav-mobile"), false);
+    assert.equal(toggle.hidden, true);
+  });
+});
+
+describe("timeline layout", () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  /**
+   * Build a timeline section from its items, as of a fixed current month
+   * @param {Array<Object>} body - List items
+   * @param {string} [now="2024-07"] - Current month ("YYYY-MM")
+   * @returns {Promise<Array<HTMLElement>>} The timeline groups
+   */
+  const timeline = async (body, now = "2024-07") => {
+    env = createEnvironment({
+      data: { sections: [{ section: "jobs", title: "Jobs", type: "ls", layout: "timeline", body }] },
+    });
+    const controller = env.createController();
+    controller.getCurrentMonth = () => controller.parseYearMonth(now);
+    await controller.init();
+    return Array.from(env.document.querySelectorAll("#jobs-section .timeline-group"));
+  };
+
+  const text = (element, selector) => element.querySelector(selector).textContent;
+
+  it("shows ongoing roles as present, with tenure up to the current month", async () => {
+    const [group] = await timeline([
+      { header: "Acme", subheader: "Lead", start: "2022-01" },
+      { header: "Acme", subheader: "Engineer", start: "2020-01", end: "present" },
+    ]);
+    const roles = Array.from(group.querySelectorAll(".timeline-role"));
+
+    assert.equal(text(roles[0], ".list-item-subsubheader").replace(/\s+/g, " "), "Jan 2022 – Present · 2 yrs 6 mos");
+    assert.equal(text(roles[1], ".timeline-tenure"), " · 4 yrs 6 mos");
+    assert.equal(text(group, ".timeline-group-tenure"), "4 yrs 6 mos");
+  });
+
+  it("sorts an ongoing role before one that ended, when both started together", async () => {
+    const [group] = await timeline([
+      { header: "Acme", subheader: "Contract", start: "2023-01", end: "2023-06" },
+      { header: "Acme", subheader: "Staff", start: "2023-01" },
+    ]);
+
+    assert.deepEqual(
+      Array.from(group.querySelectorAll(".list-item-subheader"), (role) => role.textContent),
+      ["Staff", "Contract"]
+    );
+  });
+
+  it("leaves gaps between roles at one employer out of the group's tenure", async () => {
+    const [group] = await timeline([
+      { header: "Acme", subheader: "Returner", start: "2018-01", end: "2019-01" },
+      { header: "Acme", subheader: "Intern", start: "2014-06", end: "2015-01" },
+    ]);
+
+    assert.equal(text(group, ".timeline-group-tenure"), "1 yr 7 mos");
+  });
+
+  it("counts overlapping roles at one employer once", async () => {
+    const [group] = await timeline([
+      { header: "Acme", subheader: "Lead", start: "2019-01", end: "2020-01" },
+      { header: "Acme", subheader: "Engineer", start: "2018-01", end: "2019-06" },
+    ]);
+
+    assert.equal(text(group, ".timeline-group-tenure"), "2 yrs");
+  });
+
+  it("keeps roles at one employer apart when another employer's role falls between them", async () => {
+    const groups = await timeline([
+      { header: "Acme", subheader: "Senior", start: "2021-01", end: "2022-01" },
+      { header: "Initech", subheader: "Contractor", start: "2020-01", end: "2021-01" },
+      { header: "Acme", subheader: "Junior", start: "2019-01", end: "2020-01" },
+    ]);
+
+    assert.deepEqual(
+      groups.map((group) => text(group, ".list-item-header")),
+      ["Acme", "Initech", "Acme"]
+    );
+    assert.equal(groups[0].querySelector(".timeline-group-tenure"), null);
+  });
+
+  it("lists undated roles last, with their free-form dates", async () => {
+    const groups = await timeline([
+      { header: "Volunteer", subheader: "Mentor", subsubheader: "Summers" },
+      { header: "Acme", subheader: "Engineer", start: "2020-01", end: "2020-02" },
+    ]);
+
+    assert.deepEqual(
+      groups.map((group) => text(group, ".list-item-header")),
+      ["Acme", "Volunteer"]
+    );
+    assert.equal(text(groups[0], ".timeline-tenure"), " · 1 mo");
+    assert.equal(text(groups[1], ".list-item-subsubheader"), "Summers");
+  });
+});
+
+describe("custom section types", () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  it("builds sections with a registered type", async () => {
+    env = createEnvironment({
+      data: { sections: [{ section: "quote", title: "Quote", type: "quote", body: "Hi" }] },
+    });
+    const controller = env.createController({
+      sectionTypes: {
+        quote: {
+          build(section) {
+            new env.Builder("blockquote", { id: `${section.section}-section`, innerText: section.body }).appendTo(
+              this.dom.content
+            );
+          },
+        },
+      },
+    });
+
+    await controller.init();
+
+    assert.equal(env.document.getElementById("quote-section").textContent, "Hi");
+  });
+
+  it("keeps building the other sections when one fails", async () => {
+    const data = pageData();
+    data.sections.splice(1, 0, { section: "broken", title: "Broken", type: "broken" });
+    env = createEnvironment({ data });
+    const controller = env.createController({
+      sectionTypes: {
+        broken: {
+          build() {
+            throw new Error("Nope");
+          },
+        },
+      },
+    });
+
+    await controller.init();
+
+    assert.equal(env.document.getElementById("broken-section"), null);
+    assert.equal(env.document.querySelectorAll("#content > .section").length, 6);
+  });
+});
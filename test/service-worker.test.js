@@ -0,0 +1,227 @@
+"use strict";
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const vm = require("vm");
+const { createEnvironment, readData } = require("./helpers/environment");
+const { getCacheVersion, getPrecacheUrls, VERSION_PATTERN, SW_FILE } = require("../scripts/sw-version");
+
+const ORIGIN = "http://localhost";
+
+/**
+ * Run sw.js against in-memory caches and a network mock
+ * @param {string} source - sw.js source
+ * @param {Function} network - Answers each fetch with a Response, or throws like a failed request
+ * @returns {{dispatch: Function, caches: Map<string, Map<string, Response>>, requests: string[]}}
+ *   `dispatch(type, event)` calls the worker's listener and returns `{ response, done }`
+ */
+function loadWorker(source, network) {
+  const listeners = {};
+  const caches = new Map();
+  const requests = [];
+  const key = (request) => new URL(typeof request === "string" ? request : request.url, ORIGIN).href;
+
+  const openCache = (name) => {
+    if (!caches.has(name)) caches.set(name, new Map());
+    const store = caches.get(name);
+
+    return {
+      async match(request, options = {}) {
+        const url = new URL(key(request));
+        if (options.ignoreSearch) url.search = "";
+        const response = store.get(url.href);
+        return response && response.clone();
+      },
+      async put(request, response) {
+        store.set(key(request), response);
+      },
+    };
+  };
+
+  vm.runInNewContext(source, {
+    self: {
+      location: new URL(ORIGIN),
+      addEventListener: (type, listener) => (listeners[type] = listener),
+      skipWaiting: async () => {},
+      clients: { claim: async () => {} },
+    },
+    caches: {
+      open: async (name) => openCache(name),
+      keys: async () => Array.from(caches.keys()),
+      delete: async (name) => caches.delete(name),
+    },
+    async fetch(request) {
+      requests.push(new URL(request.url).pathname);
+      return network(request);
+    },
+    // The worker's scope resolves relative URLs against its origin
+    Request: class extends Request {
+      constructor(input, init) {
+        super(typeof input === "string" ? new URL(input, ORIGIN).href : input, init);
+      }
+    },
+    Response,
+    Headers,
+    URL,
+    console: { warn() {} },
+  });
+
+  return {
+    caches,
+    requests,
+    dispatch(type, event = {}) {
+      const pending = [];
+      let response = null;
+
+      listeners[type]({
+        ...event,
+        waitUntil: (promise) => pending.push(promise),
+        respondWith: (promise) => (response = promise),
+      });
+
+      return { response, done: Promise.all(pending) };
+    },
+  };
+}
+
+describe("sw.js", () => {
+  const source = fs.readFileSync(SW_FILE, "utf8");
+  const cacheName = `portfolio-${source.match(VERSION_PATTERN)[1]}`;
+  const request = (path, init) => new Request(new URL(path, ORIGIN).href, init);
+
+  it("precaches the shell and data", () => {
+    assert.ok(getPrecacheUrls(source).includes("/data/data.json"));
+    assert.ok(getPrecacheUrls(source).includes("/javascript/main.js"));
+  });
+
+  it("is stamped with the current cache version (npm run sw-version)", async () => {
+    assert.equal(source.match(VERSION_PATTERN)[1], await getCacheVersion(source));
+  });
+
+  it("caches every precached file on install, stamped with the time it was cached", async () => {
+    const worker = loadWorker(source, (req) => new Response(`copy of ${new URL(req.url).pathname}`));
+
+    await worker.dispatch("install").done;
+
+    const cache = worker.caches.get(cacheName);
+    assert.deepEqual(Array.from(cache.keys()).map((url) => new URL(url).pathname), getPrecacheUrls(source));
+    const cached = cache.get(`${ORIGIN}/data/data.json`);
+    assert.equal(await cached.clone().text(), "copy of /data/data.json");
+    assert.ok(!isNaN(new Date(cached.headers.get("sw-cached-at"))));
+  });
+
+  it("serves data network-first and falls back to the cached copy offline", async () => {
+    let online = true;
+    let version = 0;
+    const worker = loadWorker(source, () => {
+      if (!online) throw new TypeError("Failed to fetch");
+      return new Response(`v${++version}`);
+    });
+
+    const fresh = await worker.dispatch("fetch", { request: request("/data/data.json") }).response;
+    assert.equal(await fresh.text(), "v1");
+
+    online = false;
+    const offline = await worker.dispatch("fetch", { request: request("/data/data.json") }).response;
+    assert.equal(await offline.text(), "v1");
+    assert.ok(offline.headers.has("sw-cached-at"));
+
+    await assert.rejects(worker.dispatch("fetch", { request: request("/data/data.es.json") }).response, TypeError);
+  });
+
+  it("serves other files from the cache and refreshes them in the background", async () => {
+    let version = 0;
+    const worker = loadWorker(source, () => new Response(`v${++version}`));
+
+    const first = worker.dispatch("fetch", { request: request("/styles/min/styles.min.css") });
+    assert.equal(await (await first.response).text(), "v1");
+
+    const second = worker.dispatch("fetch", { request: request("/styles/min/styles.min.css") });
+    assert.equal(await (await second.response).text(), "v1");
+    await second.done;
+
+    const third = worker.dispatch("fetch", { request: request("/styles/min/styles.min.css") });
+    assert.equal(await (await third.response).text(), "v2");
+  });
+
+  it("leaves other requests to the browser", () => {
+    const worker = loadWorker(source, () => new Response(""));
+
+    assert.equal(worker.dispatch("fetch", { request: request("/data/data.json", { method: "POST" }) }).response, null);
+    assert.equal(worker.dispatch("fetch", { request: new Request("https://example.com/x.js") }).response, null);
+    assert.deepEqual(worker.requests, []);
+  });
+
+  it("drops the caches of other versions on activate", async () => {
+    const worker = loadWorker(source, () => new Response(""));
+    worker.caches.set("portfolio-old", new Map());
+    worker.caches.set(cacheName, new Map());
+
+    await worker.dispatch("activate").done;
+
+    assert.deepEqual(Array.from(worker.caches.keys()), [cacheName]);
+  });
+});
+
+describe("offline support in the page", () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  /**
+   * Serve data.json as the service worker does from its cache
+   * @param {string} cachedAt - Value of the sw-cached-at header
+   * @returns {Object} fetch route
+   */
+  const cachedData = (cachedAt) => ({
+    status: 200,
+    body: JSON.stringify(readData()),
+    headers: { "content-type": "application/json", "sw-cached-at": cachedAt },
+  });
+
+  it("shows when the cached content was last updated while offline", async () => {
+    env = createEnvironment({ routes: { "/data/data.json": cachedData("Mon, 01 Jan 2024 12:00:00 GMT") } });
+    let onLine = false;
+    Object.defineProperty(env.window.navigator, "onLine", { get: () => onLine, configurable: true });
+    const controller = env.createController();
+
+    await controller.init();
+
+    const indicator = env.document.querySelector(".offline-indicator");
+    assert.equal(controller.dataCachedAt.toISOString(), "2024-01-01T12:00:00.000Z");
+    assert.equal(indicator.classList.contains("hidden"), false);
+    assert.match(indicator.textContent, /^Offline — showing content last updated /);
+
+    onLine = true;
+    env.window.dispatchEvent(new env.window.Event("online"));
+    assert.equal(indicator.classList.contains("hidden"), true);
+    assert.equal(indicator.textContent, "");
+  });
+
+  it("doesn't date content that came from the network", async () => {
+    env = createEnvironment();
+    Object.defineProperty(env.window.navigator, "onLine", { value: false, configurable: true });
+    const controller = env.createController();
+
+    await controller.init();
+
+    assert.equal(controller.dataCachedAt, null);
+    assert.equal(env.document.querySelector(".offline-indicator").textContent, "Offline — showing saved content");
+  });
+
+  it("registers the service worker only when asked", async () => {
+    env = createEnvironment();
+    const registered = [];
+    Object.defineProperty(env.window.navigator, "serviceWorker", {
+      value: { register: async (url) => registered.push(url) },
+      configurable: true,
+    });
+
+    await env.classes.createPortfolio({ portfolio: { retryDelay: 0 } }).ready;
+    assert.deepEqual(registered, []);
+
+    await env.classes.createPortfolio({ portfolio: { retryDelay: 0 }, serviceWorker: true }).ready;
+    assert.deepEqual(registered, ["/sw.js"]);
+  });
+});
@@ -0,0 +1,441 @@
+"use strict";
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment } = require("./helpers/environment");
+
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+
+describe("ThemeController", () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  /**
+   * Create a theme controller in a fresh page
+   * @param {Object} [options] - Environment options
+   * @param {boolean} [systemDark=false] - Whether the OS prefers a dark theme
+   * @returns {ThemeController}
+   */
+  const setup = (options = {}, systemDark = false) => {
+    env = createEnvironment(options);
+    env.media.set(DARK_QUERY, systemDark);
+    return new env.classes.ThemeController();
+  };
+
+  const currentTheme = () => env.document.documentElement.getAttribute("data-theme");
+
+  it("starts with the system theme when nothing is saved", () => {
+    const theme = setup({}, true);
+
+    theme.init();
+
+    assert.equal(currentTheme(), "dark");
+  });
+
+  it("prefers the saved theme over the system theme", () => {
+    const theme = setup({ storage: { theme: "light" } }, true);
+
+    theme.init();
+
+    assert.equal(currentTheme(), "light");
+  });
+
+  it("ignores an unknown saved theme", () => {
+    const theme = setup({ storage: { theme: "neon" } }, true);
+
+    assert.equal(theme.getSavedTheme(), null);
+    theme.init();
+    assert.equal(currentTheme(), "dark");
+  });
+
+  it("saves the theme chosen in the picker menu", () => {
+    const theme = setup();
+    theme.init();
+    const button = env.document.querySelector(".theme-picker-btn");
+    const menu = env.document.querySelector(".theme-menu");
+
+    button.click();
+    assert.equal(menu.hidden, false);
+    assert.equal(button.getAttribute("aria-expanded"), "true");
+    menu.querySelector('[data-theme-option="dark"]').click();
+
+    assert.equal(currentTheme(), "dark");
+    assert.equal(env.storage.getItem("theme"), "dark");
+    assert.equal(menu.hidden, true);
+    assert.equal(button.getAttribute("aria-label"), "Theme: Dark");
+    assert.equal(menu.querySelector('[data-theme-option="dark"]').getAttribute("aria-checked"), "true");
+  });
+
+  it("closes the picker menu on outside clicks, listening only while it is open", () => {
+    const theme = setup();
+    const added = [];
+    const addEventListener = env.document.addEventListener.bind(env.document);
+    env.document.addEventListener = (type, listener, options) => {
+      added.push(type);
+      addEventListener(type, listener, options);
+    };
+    theme.init();
+    theme.init();
+    const button = env.document.querySelector(".theme-picker-btn");
+    const menu = env.document.querySelector(".theme-menu");
+
+    assert.deepEqual(added.filter((type) => type === "click"), []);
+    button.click();
+    assert.equal(menu.hidden, false);
+    env.document.body.click();
+    assert.equal(menu.hidden, true);
+  });
+
+  it("lists every registered theme in the picker", () => {
+    const theme = setup();
+    theme.init();
+
+    const items = env.document.querySelectorAll(".theme-menu [data-theme-option]");
+    const options = Array.from(items, (item) => item.dataset.themeOption);
+
+    assert.deepEqual(options, ["system", ...theme.getThemes()]);
+    assert.deepEqual(options, ["system", "light", "dark", "high-contrast", "sepia"]);
+  });
+
+  it("moves through the picker menu with the keyboard", () => {
+    const theme = setup();
+    theme.init();
+    const button = env.document.querySelector(".theme-picker-btn");
+    const menu = env.document.querySelector(".theme-menu");
+    const key = (target, name) =>
+      target.dispatchEvent(new env.window.KeyboardEvent("keydown", { key: name, bubbles: true }));
+
+    key(button, "ArrowDown");
+    assert.equal(env.document.activeElement.dataset.themeOption, "system");
+    key(menu, "ArrowUp");
+    assert.equal(env.document.activeElement.dataset.themeOption, "sepia");
+    key(menu, "Escape");
+
+    assert.equal(menu.hidden, true);
+    assert.equal(env.document.activeElement, button);
+  });
+
+  it("applies registered themes with their custom properties", () => {
+    env = createEnvironment();
+    const theme = new env.classes.ThemeController({
+      themes: { brand: { label: "Brand", colorScheme: "dark", properties: { "--color-primary": "#e11d48" } } },
+    });
+    theme.init();
+
+    theme.setTheme("brand");
+
+    assert.equal(currentTheme(), "brand");
+    assert.equal(env.document.documentElement.getAttribute("data-color-scheme"), "dark");
+    assert.match(
+      env.document.getElementById("theme-registry-styles").textContent,
+      /:root\[data-theme="brand"\] \{\s+--color-primary: #e11d48;/
+    );
+    assert.equal(theme.getSavedTheme(), "brand");
+  });
+
+  it("adds themes registered after init to the picker", () => {
+    const theme = setup();
+    theme.init();
+
+    theme.registerTheme("ocean", { label: "Ocean", properties: { "--color-primary": "#0e7490" } });
+
+    assert.ok(env.document.querySelector('.theme-menu [data-theme-option="ocean"]'));
+    assert.match(env.document.getElementById("theme-registry-styles").textContent, /data-theme="ocean"/);
+  });
+
+  it("rejects invalid theme definitions", () => {
+    const theme = setup();
+
+    assert.throws(() => theme.registerTheme("Bad Name", { label: "Bad" }), /Theme name/);
+    assert.throws(() => theme.registerTheme("system", { label: "System" }), /reserved/);
+    assert.throws(() => theme.registerTheme("plain", {}), /must provide a label/);
+    assert.throws(() => theme.registerTheme("dim", { label: "Dim", colorScheme: "grey" }), /colorScheme/);
+    assert.throws(
+      () => theme.registerTheme("evil", { label: "Evil", properties: { color: "red" } }),
+      /custom property/
+    );
+    assert.throws(
+      () => theme.registerTheme("evil", { label: "Evil", properties: { "--x": "red} body{display:none" } }),
+      /invalid value/
+    );
+  });
+
+  it("uses the configured storage key", () => {
+    const theme = setup({ storage: { "site-theme": "light" } });
+    theme.storageKey = "site-theme";
+
+    theme.init();
+    theme.toggleTheme();
+
+    assert.equal(env.storage.getItem("site-theme"), "dark");
+  });
+
+  it("cycles through light, dark and system with toggleTheme", () => {
+    const theme = setup({ storage: { theme: "light" } }, true);
+    theme.init();
+    const modes = [];
+
+    for (let i = 0; i < 3; i++) {
+      theme.toggleTheme();
+      modes.push(theme.getMode());
+    }
+
+    assert.deepEqual(modes, ["dark", "system", "light"]);
+  });
+
+  it("cycles the theme with Alt+Shift+T outside text fields", () => {
+    const theme = setup({ storage: { theme: "light" } }, true);
+    theme.init();
+    const press = (target) =>
+      target.dispatchEvent(
+        new env.window.KeyboardEvent("keydown", { code: "KeyT", altKey: true, shiftKey: true, bubbles: true })
+      );
+
+    press(env.document.body);
+    assert.equal(theme.getMode(), "dark");
+    assert.equal(env.document.querySelector(".theme-picker-btn").getAttribute("aria-keyshortcuts"), "Alt+Shift+T");
+
+    const input = env.document.createElement("input");
+    env.document.body.appendChild(input);
+    press(input);
+    assert.equal(theme.getMode(), "dark");
+
+    press(env.document.body);
+    assert.equal(theme.getMode(), "system");
+  });
+
+  it("does not save a theme while following the system", () => {
+    const theme = setup({}, true);
+
+    theme.init();
+
+    assert.equal(theme.getMode(), "system");
+    assert.equal(currentTheme(), "dark");
+    assert.equal(env.storage.getItem("theme"), null);
+  });
+
+  it("keeps following system changes after init", () => {
+    const theme = setup();
+    theme.init();
+
+    env.media.set(DARK_QUERY, true);
+    assert.equal(currentTheme(), "dark");
+    env.media.set(DARK_QUERY, false);
+    assert.equal(currentTheme(), "light");
+  });
+
+  it("forgets the saved theme when System is chosen in the picker", () => {
+    const theme = setup({ storage: { theme: "sepia" } });
+    theme.init();
+
+    env.document.querySelector(".theme-picker-btn").click();
+    env.document.querySelector('.theme-menu [data-theme-option="system"]').click();
+    env.media.set(DARK_QUERY, true);
+
+    assert.equal(env.storage.getItem("theme"), null);
+    assert.equal(currentTheme(), "dark");
+    assert.equal(env.document.querySelector(".theme-picker-btn").getAttribute("aria-label"), "Theme: System (Dark)");
+    assert.equal(theme.getSavedTheme(), null);
+  });
+
+  it("rejects unknown themes", () => {
+    const theme = setup();
+    theme.init();
+
+    theme.setTheme("neon");
+
+    assert.equal(currentTheme(), "light");
+  });
+
+  it("dispatches themechange", () => {
+    const theme = setup();
+    const events = [];
+    env.window.addEventListener("themechange", (event) => events.push(event.detail.theme));
+
+    theme.setTheme("dark");
+
+    assert.deepEqual(events, ["dark"]);
+  });
+
+  it("reports the mode in themechange", () => {
+    const theme = setup();
+    theme.init();
+    const events = [];
+    env.window.addEventListener("themechange", (event) => events.push(`${event.detail.mode}:${event.detail.theme}`));
+
+    theme.setTheme("sepia");
+    theme.setTheme("system");
+    env.media.set(DARK_QUERY, true);
+
+    assert.deepEqual(events, ["sepia:sepia", "system:light", "system:dark"]);
+  });
+
+  it("reports the previous theme in themechange", () => {
+    const theme = setup();
+    theme.setTheme("sepia");
+    let detail;
+    env.window.addEventListener("themechange", (event) => (detail = event.detail));
+
+    theme.setTheme("high-contrast");
+
+    assert.equal(detail.previous, "sepia");
+    assert.equal(detail.colorScheme, "dark");
+  });
+
+  it("keeps working when localStorage is unavailable", () => {
+    const theme = setup({ storage: { theme: "dark" } });
+    env.storage.failing = true;
+
+    theme.init();
+    theme.setTheme("dark");
+
+    assert.equal(currentTheme(), "dark");
+  });
+
+  it("follows system changes while no preference is saved", () => {
+    const theme = setup();
+    theme.setupSystemThemeListener();
+
+    env.media.set(DARK_QUERY, true);
+
+    assert.equal(currentTheme(), "dark");
+  });
+
+  it("ignores system changes once a preference is saved", () => {
+    const theme = setup({ storage: { theme: "light" } });
+    theme.init();
+
+    env.media.set(DARK_QUERY, true);
+
+    assert.equal(currentTheme(), "light");
+  });
+
+  describe("auto-schedule mode", () => {
+    /**
+     * Local "HH:MM" time some hours away from now
+     * @param {number} hours - Offset from now
+     * @returns {string}
+     */
+    const hoursFromNow = (hours) => {
+      const date = new Date(Date.now() + hours * 3600000);
+      return `${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`;
+    };
+
+    const scheduled = (schedule, storage = {}) => {
+      env = createEnvironment({ storage });
+      env.media.set(DARK_QUERY, false);
+      return new env.classes.ThemeController({ schedule });
+    };
+
+    it("picks light or dark for the configured times", () => {
+      const theme = scheduled({ light: "07:00", dark: "19:30" });
+
+      assert.equal(theme.getScheduledTheme(new Date(2024, 5, 21, 6, 59)), "dark");
+      assert.equal(theme.getScheduledTheme(new Date(2024, 5, 21, 7, 0)), "light");
+      assert.equal(theme.getScheduledTheme(new Date(2024, 5, 21, 19, 30)), "dark");
+    });
+
+    it("handles a light period that runs over midnight", () => {
+      const theme = scheduled({ light: "22:00", dark: "02:00" });
+
+      assert.equal(theme.getScheduledTheme(new Date(2024, 5, 21, 23, 0)), "light");
+      assert.equal(theme.getScheduledTheme(new Date(2024, 5, 21, 1, 0)), "light");
+      assert.equal(theme.getScheduledTheme(new Date(2024, 5, 21, 12, 0)), "dark");
+    });
+
+    it("finds the next switch time", () => {
+      const theme = scheduled({ light: "07:00", dark: "19:30" });
+
+      const next = (now) => theme.getNextScheduledSwitch(now).getTime();
+
+      assert.equal(next(new Date(2024, 5, 21, 12, 0)), new Date(2024, 5, 21, 19, 30).getTime());
+      assert.equal(next(new Date(2024, 5, 21, 20, 0)), new Date(2024, 5, 22, 7, 0).getTime());
+    });
+
+    it("switches at sunrise and sunset for a location", () => {
+      const theme = scheduled({ latitude: 51.5074, longitude: -0.1278 });
+      const sunrise = theme.getNextScheduledSwitch(new Date(Date.UTC(2024, 5, 21, 0)));
+      const sunset = theme.getNextScheduledSwitch(new Date(Date.UTC(2024, 5, 21, 12)));
+
+      // London on the solstice: sunrise 03:43 UTC, sunset 20:21 UTC
+      assert.ok(Math.abs(sunrise - Date.UTC(2024, 5, 21, 3, 43)) < 5 * 60000, sunrise.toISOString());
+      assert.ok(Math.abs(sunset - Date.UTC(2024, 5, 21, 20, 21)) < 5 * 60000, sunset.toISOString());
+    });
+
+    it("stays dark through the polar night", () => {
+      const theme = scheduled({ latitude: 69.65, longitude: 18.96 });
+
+      assert.equal(theme.getScheduledTheme(new Date(2024, 11, 21, 12, 0)), "dark");
+    });
+
+    it("applies and saves the mode, and stops the timer when another theme is set", () => {
+      const theme = scheduled({ light: hoursFromNow(-1), dark: hoursFromNow(1) });
+      theme.init();
+      let detail;
+      env.window.addEventListener("themechange", (event) => (detail = event.detail));
+
+      theme.setTheme("auto-schedule");
+
+      assert.equal(currentTheme(), "light");
+      assert.equal(detail.mode, "auto-schedule");
+      assert.equal(env.storage.getItem("theme"), "auto-schedule");
+      assert.notEqual(theme.scheduleTimer, null);
+
+      theme.setTheme("sepia");
+      assert.equal(theme.scheduleTimer, null);
+    });
+
+    it("switches theme when the schedule comes round", () => {
+      const theme = scheduled({ light: hoursFromNow(-1), dark: hoursFromNow(1) }, { theme: "auto-schedule" });
+      theme.init();
+      const events = [];
+      env.window.addEventListener("themechange", (event) => events.push(event.detail.theme));
+
+      theme.schedule = theme.normalizeSchedule({ light: hoursFromNow(1), dark: hoursFromNow(-1) });
+      theme.applyScheduledTheme();
+      theme.applyScheduledTheme();
+
+      assert.equal(currentTheme(), "dark");
+      assert.deepEqual(events, ["dark"]);
+      theme.clearScheduleTimer();
+    });
+
+    it("removes its listeners and stops the timer on destroy", () => {
+      const theme = scheduled({ light: hoursFromNow(1), dark: hoursFromNow(-1) }, { theme: "auto-schedule" });
+      // Document listeners as the DOM keeps them: one per type and function
+      const listeners = new Set();
+      const addEventListener = env.document.addEventListener.bind(env.document);
+      const removeEventListener = env.document.removeEventListener.bind(env.document);
+      env.document.addEventListener = (type, listener, options) => {
+        listeners.add(`${type}:${listener.name}`);
+        addEventListener(type, listener, options);
+      };
+      env.document.removeEventListener = (type, listener, options) => {
+        listeners.delete(`${type}:${listener.name}`);
+        removeEventListener(type, listener, options);
+      };
+      theme.init();
+      theme.init();
+      assert.notEqual(theme.scheduleTimer, null);
+
+      theme.destroy();
+
+      assert.equal(theme.scheduleTimer, null);
+      assert.deepEqual(Array.from(listeners), []);
+      env.media.set(DARK_QUERY, true);
+      env.document.querySelector(".theme-picker-btn").click();
+      assert.equal(env.document.querySelector(".theme-menu").hidden, true);
+    });
+
+    it("is only offered when a schedule is configured", () => {
+      const theme = setup({ storage: { theme: "auto-schedule" } });
+      theme.init();
+
+      assert.equal(theme.getMode(), "system");
+      assert.equal(env.document.querySelector('[data-theme-option="auto-schedule"]'), null);
+      assert.throws(() => new env.classes.ThemeController({ schedule: { light: "7am" } }), /schedule.light/);
+      assert.throws(() => new env.classes.ThemeController({ schedule: { latitude: 95, longitude: 0 } }), /latitude/);
+    });
+  });
+});
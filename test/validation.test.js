@@ -0,0 +1,137 @@
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment, readData } = require("./helpers/environment");
+
+describe("PortfolioController#validateDataStructure", () => {
+  let env;
+  let controller;
+
+  before(() => {
+    env = createEnvironment();
+    controller = env.createController();
+  });
+
+  after(() => env.close());
+
+  /**
+   * Validate data and return the problems found
+   * @param {*} data - Data to validate
+   * @returns {Array<{path: string, message: string}>}
+   */
+  const problems = (data) => {
+    controller.data = data;
+    try {
+      controller.validateDataStructure();
+      return [];
+    } catch (error) {
+      assert.ok(error instanceof env.classes.DataValidationError);
+      // Copy into this realm so deepEqual compares plain arrays and objects
+      return Array.from(error.errors, ({ path, message }) => ({ path, message }));
+    }
+  };
+
+  it("accepts the repository's data.json", () => {
+    assert.deepEqual(problems(readData()), []);
+  });
+
+  it("rejects missing data", () => {
+    controller.data = null;
+    assert.throws(() => controller.validateDataStructure(), /No data loaded/);
+  });
+
+  it("rejects data that isn't an object", () => {
+    assert.deepEqual(problems([]), [{ path: "", message: "expected object but got array" }]);
+  });
+
+  it("requires at least one section", () => {
+    assert.deepEqual(problems({ sections: [] }), [{ path: "sections", message: "must contain at least 1 item" }]);
+  });
+
+  it("requires the common section fields", () => {
+    assert.deepEqual(problems({ sections: [{ section: "about", type: "pg", body: "" }] }), [
+      { path: "sections[0]", message: 'missing required property "title"' },
+    ]);
+  });
+
+  it("takes a numeric section order, and newest or oldest item order on list sections", () => {
+    const list = (extra) => ({ section: "jobs", title: "Jobs", type: "ls", body: [], ...extra });
+
+    assert.deepEqual(problems({ sections: [list({ order: 2, itemOrder: "oldest" }), list({ itemOrder: "newest" })] }), []);
+    assert.deepEqual(problems({ sections: [list({ order: "1", itemOrder: "latest" })] }), [
+      { path: "sections[0].order", message: "expected number but got string" },
+      { path: "sections[0].itemOrder", message: 'must be one of: newest, oldest (got "latest")' },
+    ]);
+  });
+
+  it("rejects section ids that can't be used in element ids", () => {
+    assert.deepEqual(problems({ sections: [{ section: "about me", title: "About", type: "pg", body: "" }] }), [
+      { path: "sections[0].section", message: "must match pattern ^[A-Za-z][\\w-]*$" },
+    ]);
+  });
+
+  it("rejects unknown section types", () => {
+    const [problem] = problems({ sections: [{ section: "quote", title: "Quote", type: "quote" }] });
+    assert.equal(problem.path, "sections[0].type");
+    assert.match(problem.message, /^must be one of: pg, ls, skills, projects, rs/);
+  });
+
+  it("applies the section type's schema", () => {
+    const data = readData();
+    data.sections[1].body[0].header = "";
+    data.sections[1].body[1].start = "June 2021";
+
+    assert.deepEqual(problems(data), [
+      { path: "sections[1].body[0].header", message: "must not be empty" },
+      { path: "sections[1].body[1].start", message: "must match pattern ^\\d{4}-(0[1-9]|1[0-2])$" },
+    ]);
+  });
+
+  it("runs the section type's validate function", () => {
+    const data = readData();
+    data.sections[1].body[1].end = "2019-01";
+    data.sections[3].groups = ["frameworks"];
+    data.sections[7] = { section: "resume", title: "Resume", type: "rs" };
+
+    assert.deepEqual(problems(data), [
+      { path: "sections[1].body[1].end", message: "must not be before start" },
+      { path: "sections[3].groups[0]", message: 'unknown icon group "frameworks"' },
+      { path: "sections[7]", message: 'needs a "file" or a "files" list' },
+    ]);
+  });
+
+  it("checks icons, external links and meta", () => {
+    const data = readData();
+    data.icons.tools.push({ icon: "rust", level: 6 });
+    data.ext.mastodon = { icon: "mastodon-plain" };
+    data.meta.locale = "en";
+
+    assert.deepEqual(problems(data), [
+      { path: "icons.tools[10].level", message: "must be at most 5" },
+      { path: "ext.mastodon", message: 'missing required property "link"' },
+      { path: "meta.locale", message: "must match pattern ^[a-z]{2}_[A-Z]{2}$" },
+    ]);
+  });
+
+  it("reports every problem in the error message", () => {
+    controller.data = { sections: [{ section: "a", title: "", type: "pg" }] };
+
+    assert.throws(() => controller.validateDataStructure(), {
+      message: 'Invalid data structure (2 problems): sections[0].title: must not be empty; sections[0]: missing required property "body"',
+    });
+  });
+
+  it("validates custom section types", () => {
+    controller.registerSectionType("quote", {
+      build() {},
+      schema: { required: ["body"], properties: { body: { type: "string", minLength: 1 } } },
+      validate: (section) => (section.author ? [] : [{ path: "author", message: "is required" }]),
+    });
+
+    assert.deepEqual(problems({ sections: [{ section: "quote", title: "Quote", type: "quote", body: "" }] }), [
+      { path: "sections[0].body", message: "must not be empty" },
+      { path: "sections[0].author", message: "is required" },
+    ]);
+  });
+});